@@ -23,9 +23,22 @@ const syncService = require('./src/services/syncService');
 const cacheService = require('./src/services/cacheService');
 const statsService = require('./src/services/statsService');
 const backupService = require('./src/services/backupService');
+const trafficResetService = require('./src/services/trafficResetService');
+const userTrafficService = require('./src/services/userTrafficService');
+const sessionService = require('./src/services/sessionService');
+const webhookService = require('./src/services/webhookService');
+const userWarningService = require('./src/services/userWarningService');
+const trashService = require('./src/services/trashService');
+const authLogService = require('./src/services/authLogService');
+const authFallback = require('./src/services/authFallbackService');
+const geoIpService = require('./src/services/geoIpService');
 
 const usersRoutes = require('./src/routes/users');
+const plansRoutes = require('./src/routes/plans');
 const nodesRoutes = require('./src/routes/nodes');
+const onlineRoutes = require('./src/routes/online');
+const webhooksRoutes = require('./src/routes/webhooks');
+const trashRoutes = require('./src/routes/trash');
 const subscriptionRoutes = require('./src/routes/subscription');
 const authRoutes = require('./src/routes/auth');
 const panelRoutes = require('./src/routes/panel');
@@ -50,7 +63,12 @@ app.use(cors({
     origin: config.BASE_URL,
     credentials: true,
 }));
-app.use(express.json());
+// sync-from-main разбирает тело сам, после авторизации (лимит 50mb, см. routes/users.js)
+const jsonParser = express.json();
+app.use((req, res, next) => {
+    if (req.path.toLowerCase().replace(/\/+$/, '') === '/api/users/sync-from-main') return next();
+    jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 let sessionMiddleware = null;
@@ -194,7 +212,16 @@ app.use('/api/info', subscriptionLimiter);
 app.use('/api', subscriptionRoutes);
 
 app.use('/api/users', requireAuth, usersRoutes);
+app.use('/api/plans', requireAuth, plansRoutes);
 app.use('/api/nodes', requireAuth, nodesRoutes);
+app.use('/api/online', requireAuth, onlineRoutes);
+app.use('/api/webhooks', requireAuth, webhooksRoutes);
+app.use('/api/trash', requireAuth, trashRoutes);
+
+// Состояние circuit breaker'ов авторизации (не в /health: он публичный)
+app.get('/api/auth-status', requireAuth, (req, res) => {
+    res.json(authFallback.getStatus());
+});
 
 app.get('/api/groups', requireAuth, async (req, res) => {
     try {
@@ -297,6 +324,7 @@ async function startServer() {
         logger.info('[MongoDB] Connected');
         
         await cacheService.connect();
+        await geoIpService.init();
         
         initSessionMiddleware();
         logger.info('[Redis] Session store initialized');
@@ -507,13 +535,32 @@ function setupCronJobs() {
         logger.debug('[Cron] Collecting stats');
         await syncService.collectAllStats();
         
+        // Kick users who went over limit while connected
+        await syncService.enforceLimits();
+        
         // Save stats snapshot for charts
         await statsService.saveHourlySnapshot();
     });
     
-    // Health check every minute
+    // Per-user periodic traffic resets every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+        await trafficResetService.processDueResets();
+    });
+    
+    // Health check every minute (also records online sessions)
     cron.schedule('* * * * *', async () => {
         await syncService.healthCheck();
+        await sessionService.closeStale();
+    });
+    
+    // Retry failed webhook deliveries every minute
+    cron.schedule('* * * * *', async () => {
+        await webhookService.processRetries();
+    });
+    
+    // Expiry / traffic warnings to users every 15 minutes
+    cron.schedule('*/15 * * * *', async () => {
+        await userWarningService.check();
     });
     
     // Save daily snapshot every hour
@@ -527,6 +574,13 @@ function setupCronJobs() {
         logger.info('[Cron] Saving monthly stats snapshot');
         await statsService.saveMonthlySnapshot();
         await statsService.cleanup();
+        await userTrafficService.cleanup();
+        await sessionService.cleanup();
+    });
+    
+    // Purge trash entries older than retention daily at 3:30
+    cron.schedule('30 3 * * *', async () => {
+        await trashService.purgeExpired();
     });
     
     // Clean old logs daily at 3:00
@@ -600,12 +654,14 @@ function cleanOldLogs(days) {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     logger.info('[Server] Shutting down...');
+    await authLogService.flush();
     await mongoose.disconnect();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     logger.info('[Server] Shutting down...');
+    await authLogService.flush();
     await mongoose.disconnect();
     process.exit(0);
 });
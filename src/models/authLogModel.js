@@ -0,0 +1,46 @@
+/**
+ * Auth decisions log (accept/reject with reason)
+ * TTL-bounded: entries expire automatically after RETENTION_DAYS
+ */
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 7;
+
+const REASONS = [
+    'ok',
+    'unknown_node',
+    'not_found',
+    'inactive',
+    'invalid_password',
+    'credential_revoked',
+    'credential_expired',
+    'node_not_allowed',
+    'ip_not_allowed',
+    'country_not_allowed',
+    'traffic_exceeded',
+    'expired',
+    'device_limit',
+    'error',
+];
+
+const authLogSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    ip: { type: String, default: '' },
+    node: { type: mongoose.Schema.Types.ObjectId, ref: 'HyNode', default: null },
+    nodeName: { type: String, default: '' },
+    ok: { type: Boolean, required: true },
+    reason: { type: String, enum: REASONS, required: true },
+    detail: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+}, {
+    versionKey: false,
+});
+
+authLogSchema.index({ userId: 1, createdAt: -1 });
+authLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+authLogSchema.statics.REASONS = REASONS;
+authLogSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('AuthLog', authLogSchema);
@@ -3,6 +3,7 @@
  */
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const portConfigSchema = new mongoose.Schema({
     name: { type: String, default: '' },
@@ -22,6 +23,7 @@ const hyNodeSchema = new mongoose.Schema({
     portConfigs: { type: [portConfigSchema], default: [] },
     statsPort: { type: Number, default: 9999 },
     statsSecret: { type: String, default: '' },
+    authToken: { type: String, default: '' }, // Per-node secret in HTTP auth URL
     
     groups: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -64,6 +66,7 @@ const hyNodeSchema = new mongoose.Schema({
 hyNodeSchema.index({ active: 1 });
 hyNodeSchema.index({ groups: 1 });
 hyNodeSchema.index({ status: 1 });
+hyNodeSchema.index({ authToken: 1 });
 
 hyNodeSchema.virtual('serverAddress').get(function() {
     const host = this.domain || this.ip;
@@ -78,5 +81,35 @@ hyNodeSchema.methods.getSubscriptionAddress = function() {
     return `${host}:${this.port}`;
 };
 
+hyNodeSchema.pre('save', function(next) {
+    if (!this.authToken) {
+        this.authToken = crypto.randomBytes(16).toString('hex');
+    }
+    next();
+});
+
+/**
+ * Ensure node has auth token (nodes created before tokens were introduced)
+ * Works with both documents and lean objects
+ */
+hyNodeSchema.statics.ensureAuthToken = async function(node) {
+    if (node.authToken) return node.authToken;
+    
+    const authToken = crypto.randomBytes(16).toString('hex');
+    const result = await this.updateOne(
+        { _id: node._id, authToken: { $in: ['', null] } },
+        { $set: { authToken } }
+    );
+    
+    if (result.modifiedCount > 0) {
+        node.authToken = authToken;
+    } else {
+        // Token was set concurrently - use stored one
+        const stored = await this.findById(node._id).select('authToken').lean();
+        node.authToken = stored?.authToken || '';
+    }
+    return node.authToken;
+};
+
 module.exports = mongoose.model('HyNode', hyNodeSchema);
 
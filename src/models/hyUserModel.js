@@ -5,6 +5,32 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 64;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// App password: separate revocable credential with its own subscription link
+const credentialSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    password: { type: String, required: true },
+    // Subscription token that emits this credential instead of the main password
+    token: { type: String, required: true },
+    expiresAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    revoked: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Traffic pack: adds bytes to trafficLimit until expiresAt (null = until removed)
+const topUpSchema = new mongoose.Schema({
+    bytes: { type: Number, required: true },
+    expiresAt: { type: Date, default: null },
+    note: { type: String, default: '' },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
 const hyUserSchema = new mongoose.Schema({
     userId: {
         type: String,
@@ -19,16 +45,44 @@ const hyUserSchema = new mongoose.Schema({
         index: true,
     },
     
+    // Tokens replaced by rotation: work until graceUntil, then get "link changed"
+    revokedTokens: {
+        type: [{
+            _id: false,
+            token: { type: String, required: true },
+            revokedAt: { type: Date, default: Date.now },
+            graceUntil: { type: Date, default: null },
+        }],
+        default: [],
+    },
+    
     username: {
         type: String,
         default: '',
     },
     
+    // Free-form operator note
+    note: {
+        type: String,
+        default: '',
+    },
+    
+    // Operator labels ("vip", "reseller:alice"), stored normalized (see normalizeTags)
+    tags: {
+        type: [String],
+        default: [],
+    },
+    
     password: {
         type: String,
         required: true,
     },
     
+    credentials: {
+        type: [credentialSchema],
+        default: [],
+    },
+    
     enabled: {
         type: Boolean,
         default: false,
@@ -50,11 +104,18 @@ const hyUserSchema = new mongoose.Schema({
         lastUpdate: { type: Date, default: null },
     },
     
+    // Base limit (0 = unlimited), active topUps are added on top
     trafficLimit: {
         type: Number,
         default: 0,
     },
     
+    // Granted packs, expired ones are kept as history
+    topUps: {
+        type: [topUpSchema],
+        default: [],
+    },
+    
     maxDevices: {
         type: Number,
         default: 0,
@@ -65,31 +126,233 @@ const hyUserSchema = new mongoose.Schema({
         default: null,
     },
     
+    // Expiry starts at first connection: expireAt stays null until the first
+    // successful auth sets it to now + durationDays
+    onHold: {
+        // 0 = not on hold
+        durationDays: { type: Number, default: 0 },
+        activatedAt: { type: Date, default: null },
+    },
+    
+    // Set when kicked for traffic limit / expiry, cleared when back within limits
+    enforcedAt: {
+        type: Date,
+        default: null,
+    },
+    
+    // Current plan (limits were applied from it on create/renew)
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Plan',
+        default: null,
+    },
+    
+    // Periodic traffic reset (see trafficResetService)
+    trafficResetStrategy: {
+        type: String,
+        enum: ['none', 'daily', 'weekly', 'monthly', 'yearly'],
+        default: 'none',
+    },
+    
+    // Periods are counted from this date (null = createdAt)
+    trafficResetAnchor: {
+        type: Date,
+        default: null,
+    },
+    
+    lastTrafficReset: {
+        type: Date,
+        default: null,
+    },
+    
+    // null = to be scheduled by the reset job
+    nextTrafficReset: {
+        type: Date,
+        default: null,
+    },
+    
+    // Imported from another panel (see migrationService)
+    migratedFrom: {
+        panel: { type: String, enum: [null, 'marzban', '3x-ui', 'hiddify'], default: null },
+        // Marzban links signed before this date are rejected (user created_at / sub_revoked_at)
+        linksValidSince: { type: Date, default: null },
+        // Marzban links stop working at this date (token rotated)
+        linksRevokedAt: { type: Date, default: null },
+    },
+    
+    // User's own contacts for expiry / traffic warnings (see userWarningService)
+    contacts: {
+        // Telegram chat ID (user has to start the bot first)
+        telegramId: { type: String, default: '' },
+        email: { type: String, default: '' },
+    },
+    
+    // Most severe warning already sent; lowered again after renewal / traffic reset
+    warnings: {
+        // Smallest "days before expireAt" threshold reached (null = none)
+        expiryDays: { type: Number, default: null },
+        // Largest "% of traffic limit" threshold reached (0 = none)
+        trafficPercent: { type: Number, default: 0 },
+    },
+    
+    // Client IP / country rules for auth (see accessRuleService)
+    accessRules: {
+        ipAllow: { type: [String], default: [] },
+        ipDeny: { type: [String], default: [] },
+        countryAllow: { type: [String], default: [] },
+        countryDeny: { type: [String], default: [] },
+    },
+    
 }, { timestamps: true });
 
 hyUserSchema.index({ enabled: 1 });
 hyUserSchema.index({ groups: 1 });
+hyUserSchema.index({ plan: 1 });
+hyUserSchema.index({ tags: 1 });
+hyUserSchema.index({ trafficResetStrategy: 1, nextTrafficReset: 1 });
+hyUserSchema.index({ 'credentials.token': 1 });
+hyUserSchema.index({ 'revokedTokens.token': 1 });
 
 hyUserSchema.virtual('trafficUsedGB').get(function() {
     return ((this.traffic.tx + this.traffic.rx) / (1024 * 1024 * 1024)).toFixed(2);
 });
 
 hyUserSchema.methods.isTrafficExceeded = function() {
-    if (this.trafficLimit === 0) return false;
-    return (this.traffic.tx + this.traffic.rx) >= this.trafficLimit;
+    const limit = this.constructor.getTrafficLimit(this);
+    if (limit === 0) return false;
+    return (this.traffic.tx + this.traffic.rx) >= limit;
+};
+
+hyUserSchema.statics.generateSubscriptionToken = function(userId) {
+    return crypto.createHash('sha256')
+        .update(userId + crypto.randomBytes(8).toString('hex'))
+        .digest('hex')
+        .substring(0, 16);
 };
 
 hyUserSchema.pre('save', function(next) {
     if (!this.subscriptionToken) {
-        const hash = crypto.createHash('sha256')
-            .update(this.userId + crypto.randomBytes(8).toString('hex'))
-            .digest('hex')
-            .substring(0, 16);
-        this.subscriptionToken = hash;
+        this.subscriptionToken = this.constructor.generateSubscriptionToken(this.userId);
     }
     next();
 });
 
+/**
+ * Credential is usable for auth
+ */
+hyUserSchema.statics.isCredentialActive = function(credential) {
+    if (!credential || credential.revoked) return false;
+    return !credential.expiresAt || new Date(credential.expiresAt) > new Date();
+};
+
+/**
+ * Traffic pack counts towards the limit
+ */
+hyUserSchema.statics.isTopUpActive = function(topUp, now = new Date()) {
+    return !topUp.expiresAt || new Date(topUp.expiresAt) > now;
+};
+
+/**
+ * Effective traffic limit: base trafficLimit plus active packs (0 = unlimited)
+ * Works with cached users too (dates as strings)
+ */
+hyUserSchema.statics.getTrafficLimit = function(user, now = new Date()) {
+    if (!user?.trafficLimit) return 0;
+    return (user.topUps || [])
+        .filter(topUp => this.isTopUpActive(topUp, now))
+        .reduce((sum, topUp) => sum + (topUp.bytes || 0), user.trafficLimit);
+};
+
+/**
+ * getTrafficLimit as aggregation expression, for $expr queries
+ */
+hyUserSchema.statics.trafficLimitExpr = function(now = new Date()) {
+    return {
+        $add: ['$trafficLimit', {
+            $sum: {
+                $map: {
+                    input: {
+                        $filter: {
+                            input: { $ifNull: ['$topUps', []] },
+                            cond: { $or: [{ $eq: [{ $ifNull: ['$$this.expiresAt', null] }, null] }, { $gt: ['$$this.expiresAt', now] }] },
+                        },
+                    },
+                    in: '$$this.bytes',
+                },
+            },
+        }],
+    };
+};
+
+/**
+ * Expiry countdown hasn't started yet
+ */
+hyUserSchema.statics.isOnHold = function(user) {
+    return (user?.onHold?.durationDays || 0) > 0;
+};
+
+/**
+ * Start on-hold countdown (only once: concurrent auths on several nodes race here)
+ * @returns {Object|null} { userId, expireAt, subscriptionToken, credentials } or null if already activated
+ */
+hyUserSchema.statics.activateOnHold = function(userId, durationDays, now = new Date()) {
+    const expireAt = new Date(now.getTime() + durationDays * DAY_MS);
+    return this.findOneAndUpdate(
+        { userId, 'onHold.durationDays': durationDays },
+        { $set: { expireAt, 'onHold.durationDays': 0, 'onHold.activatedAt': now } },
+        { new: true }
+    ).select('userId expireAt subscriptionToken credentials.token').lean();
+};
+
+/**
+ * Tags from array or comma-separated string: trimmed, lowercase, unique
+ */
+hyUserSchema.statics.normalizeTags = function(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(',');
+    const tags = list
+        .map(tag => String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+};
+
+/**
+ * Contacts from API / panel input: trimmed, validated
+ * @throws {Error} on invalid telegramId / email
+ */
+hyUserSchema.statics.normalizeContacts = function(input = {}) {
+    const telegramId = String(input?.telegramId ?? '').trim();
+    const email = String(input?.email ?? '').trim().toLowerCase();
+
+    if (telegramId && !/^-?\d{1,20}$/.test(telegramId)) {
+        throw new Error('contacts.telegramId must be a numeric chat ID');
+    }
+    if (email && !EMAIL_RE.test(email)) {
+        throw new Error('contacts.email is invalid');
+    }
+    return { telegramId, email };
+};
+
+/**
+ * Users per tag (any group)
+ * @returns {Array} [{ tag, users, enabled, traffic }] sorted by users
+ */
+hyUserSchema.statics.getTagStats = function(limit = 0) {
+    const pipeline = [
+        { $match: { 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $group: {
+            _id: '$tags',
+            users: { $sum: 1 },
+            enabled: { $sum: { $cond: ['$enabled', 1, 0] } },
+            traffic: { $sum: { $add: [{ $ifNull: ['$traffic.tx', 0] }, { $ifNull: ['$traffic.rx', 0] }] } },
+        } },
+        { $sort: { users: -1, _id: 1 } },
+    ];
+    if (limit > 0) pipeline.push({ $limit: limit });
+    pipeline.push({ $project: { _id: 0, tag: '$_id', users: 1, enabled: 1, traffic: 1 } });
+    return this.aggregate(pipeline);
+};
+
 hyUserSchema.statics.findByToken = function(token) {
     return this.findOne({ subscriptionToken: token });
 };
@@ -0,0 +1,29 @@
+/**
+ * Plan (tariff) model
+ * Bundles limits that are applied to users on create/renew
+ */
+
+const mongoose = require('mongoose');
+
+const TRAFFIC_RESET_STRATEGIES = ['none', 'daily', 'weekly', 'monthly', 'yearly'];
+
+const planSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, default: '' },
+    // Bytes, 0 = unlimited
+    trafficLimit: { type: Number, default: 0 },
+    // Days from create/renew, 0 = no expiry
+    durationDays: { type: Number, default: 30 },
+    // 0 = group limit, -1 = unlimited
+    maxDevices: { type: Number, default: 0 },
+    groups: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServerGroup',
+    }],
+    trafficResetStrategy: { type: String, enum: TRAFFIC_RESET_STRATEGIES, default: 'none' },
+    active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+planSchema.statics.TRAFFIC_RESET_STRATEGIES = TRAFFIC_RESET_STRATEGIES;
+
+module.exports = mongoose.model('Plan', planSchema);
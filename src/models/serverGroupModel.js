@@ -11,6 +11,13 @@ const serverGroupSchema = new mongoose.Schema({
     active: { type: Boolean, default: true },
     maxDevices: { type: Number, default: 0 },
     subscriptionTitle: { type: String, default: '', trim: true },
+    // Client IP / country rules for auth (see accessRuleService)
+    accessRules: {
+        ipAllow: { type: [String], default: [] },
+        ipDeny: { type: [String], default: [] },
+        countryAllow: { type: [String], default: [] },
+        countryDeny: { type: [String], default: [] },
+    },
 }, { timestamps: true });
 
 module.exports = mongoose.model('ServerGroup', serverGroupSchema);
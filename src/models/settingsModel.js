@@ -4,6 +4,12 @@
 
 const mongoose = require('mongoose');
 
+// Admin notification events (see notificationService)
+const NOTIFICATION_EVENTS = ['node.sync_failed', 'node.offline', 'node.online', 'ssh.error', 'backup.failed', 'backup.completed'];
+const DEFAULT_NOTIFICATION_EVENTS = ['node.sync_failed', 'node.offline', 'ssh.error', 'backup.failed'];
+
+const notificationEvents = { type: [{ type: String, enum: NOTIFICATION_EVENTS }], default: () => [...DEFAULT_NOTIFICATION_EVENTS] };
+
 const settingsSchema = new mongoose.Schema({
     _id: {
         type: String,
@@ -17,6 +23,9 @@ const settingsSchema = new mongoose.Schema({
     
     deviceGracePeriod: { type: Number, default: 15 },
     
+    // ip - count unique IPs on auth, hwid - count devices registered by x-hwid on subscription fetch
+    deviceLimitMode: { type: String, enum: ['ip', 'hwid'], default: 'ip' },
+    
     cache: {
         subscriptionTTL: { type: Number, default: 3600 },
         userTTL: { type: Number, default: 900 },
@@ -41,6 +50,98 @@ const settingsSchema = new mongoose.Schema({
         // Allow nodes to connect to panel auth API with self-signed/invalid SSL
         // Enable if panel uses HTTP or self-signed certificate
         insecure: { type: Boolean, default: true },
+        // Reject auth requests without node token (legacy /api/auth URL)
+        // Enable after all nodes received config with per-node auth URL
+        requireNodeToken: { type: Boolean, default: false },
+    },
+    
+    subscription: {
+        // Accept userId as subscription token (guessable, kept for old links)
+        allowUserIdToken: { type: Boolean, default: true },
+        // Hours the old link keeps working after token rotation (0 = "link changed" right away)
+        tokenGraceHours: { type: Number, default: 0 },
+    },
+    
+    // Runs after each stats collection
+    enforcement: {
+        // Kick connected users who went over traffic limit or expired
+        enabled: { type: Boolean, default: true },
+        // Also disable them (enabled = false)
+        disableUsers: { type: Boolean, default: false },
+    },
+    
+    // Per-user usage buckets written by stats collection (see userTrafficService)
+    userTraffic: {
+        // Hourly buckets in addition to daily ones
+        hourly: { type: Boolean, default: false },
+        dailyRetentionDays: { type: Number, default: 90 },
+        hourlyRetentionDays: { type: Number, default: 7 },
+    },
+    
+    // Connect/disconnect sessions derived from node /online polling (see sessionService)
+    sessionHistory: {
+        enabled: { type: Boolean, default: true },
+        retentionDays: { type: Number, default: 30 },
+    },
+    
+    // Admin notifications (see notificationService), each channel has its own event list
+    notifications: {
+        lang: { type: String, enum: ['ru', 'en'], default: 'ru' },
+        // Same event for the same node is sent once per window
+        dedupMinutes: { type: Number, default: 30 },
+        // Per channel; the rest is counted and reported with the next message
+        maxPerHour: { type: Number, default: 20 },
+        telegram: {
+            enabled: { type: Boolean, default: false },
+            botToken: { type: String, default: '' },
+            chatId: { type: String, default: '' },
+            events: notificationEvents,
+        },
+        email: {
+            enabled: { type: Boolean, default: false },
+            host: { type: String, default: '' },
+            port: { type: Number, default: 587 },
+            // true = TLS from the start (465), false = STARTTLS
+            secure: { type: Boolean, default: false },
+            user: { type: String, default: '' },
+            pass: { type: String, default: '' },
+            from: { type: String, default: '' },
+            to: { type: String, default: '' },
+            events: notificationEvents,
+        },
+        http: {
+            enabled: { type: Boolean, default: false },
+            url: { type: String, default: '' },
+            events: notificationEvents,
+        },
+    },
+    
+    // Expiry / traffic warnings to users' own contacts (see userWarningService),
+    // sent with the Telegram bot and SMTP server configured in notifications
+    userWarnings: {
+        enabled: { type: Boolean, default: false },
+        lang: { type: String, enum: ['ru', 'en'], default: 'ru' },
+        // Days before expireAt
+        expiryDays: { type: [Number], default: () => [3] },
+        // Percent of effective traffic limit (with packs)
+        trafficPercents: { type: [Number], default: () => [80, 95] },
+        telegram: { type: Boolean, default: true },
+        email: { type: Boolean, default: true },
+    },
+    
+    // Users imported from other panels (see migrationService)
+    migration: {
+        // Marzban JWT secrets, one per imported Marzban instance; old subscription
+        // links are verified with each of them
+        marzbanSecretKeys: { type: [String], default: [] },
+    },
+    
+    authFailover: {
+        // What auth does when Redis/MongoDB are unavailable:
+        // fail_open - accept, fail_closed - reject,
+        // last_known_good - accept users authorized recently with the same credentials
+        policy: { type: String, enum: ['fail_open', 'fail_closed', 'last_known_good'], default: 'last_known_good' },
+        lastKnownGoodMinutes: { type: Number, default: 60 },
     },
     
     backup: {
@@ -62,6 +163,11 @@ const settingsSchema = new mongoose.Schema({
         },
     },
     
+    // Deleted users, nodes and groups can be restored for this long (see trashService)
+    trash: {
+        retentionDays: { type: Number, default: 30 },
+    },
+    
 }, { timestamps: true });
 
 settingsSchema.statics.get = async function() {
@@ -80,5 +186,7 @@ settingsSchema.statics.update = async function(updates) {
     });
 };
 
+settingsSchema.statics.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+
 module.exports = mongoose.model('Settings', settingsSchema);
 
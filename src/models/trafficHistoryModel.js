@@ -0,0 +1,26 @@
+/**
+ * User traffic history: usage recorded before each traffic reset
+ */
+
+const mongoose = require('mongoose');
+
+const REASONS = ['scheduled', 'renew'];
+
+const trafficHistorySchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    tx: { type: Number, default: 0 },
+    rx: { type: Number, default: 0 },
+    strategy: { type: String, default: 'none' },
+    reason: { type: String, enum: REASONS, required: true },
+    // Previous reset (null = since user creation)
+    periodStart: { type: Date, default: null },
+    periodEnd: { type: Date, default: Date.now },
+}, {
+    versionKey: false,
+});
+
+trafficHistorySchema.index({ userId: 1, periodEnd: -1 });
+
+trafficHistorySchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('TrafficHistory', trafficHistorySchema);
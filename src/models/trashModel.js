@@ -0,0 +1,39 @@
+/**
+ * Trash: deleted users, nodes and server groups kept for restore (see trashService)
+ *
+ * The document itself is stored as is (with _id, tokens and traffic). Data kept
+ * in other collections (devices, traffic history, sessions) stays in place until
+ * the entry is purged.
+ */
+
+const mongoose = require('mongoose');
+
+const TYPES = ['user', 'node', 'group'];
+
+const trashSchema = new mongoose.Schema({
+    type: { type: String, enum: TYPES, required: true },
+    // Original _id
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // userId / node name / group name, for the list
+    name: { type: String, default: '' },
+    // Full original document
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Documents the item was removed from on delete, it is added back on restore:
+    // node - users with it in `nodes`, group - users and nodes with it in `groups`
+    refs: {
+        users: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+        nodes: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    },
+    deletedAt: { type: Date, default: Date.now },
+}, {
+    versionKey: false,
+    // Keep empty objects inside data, restored documents must match the originals
+    minimize: false,
+});
+
+trashSchema.index({ type: 1, deletedAt: -1 });
+trashSchema.index({ deletedAt: 1 });
+
+trashSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Trash', trashSchema);
@@ -0,0 +1,21 @@
+/**
+ * User device model (registered by HWID headers on subscription fetch)
+ */
+
+const mongoose = require('mongoose');
+
+const userDeviceSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    hwid: { type: String, required: true },
+    platform: { type: String, default: '' },    // x-device-os
+    osVersion: { type: String, default: '' },   // x-ver-os
+    model: { type: String, default: '' },       // x-device-model
+    userAgent: { type: String, default: '' },
+    lastIp: { type: String, default: '' },
+    revoked: { type: Boolean, default: false },
+    lastSeen: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+userDeviceSchema.index({ userId: 1, hwid: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserDevice', userDeviceSchema);
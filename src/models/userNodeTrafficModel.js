@@ -0,0 +1,27 @@
+/**
+ * Per-user per-node traffic: lifetime counters of what each user sent through each node
+ *
+ * Not zeroed by traffic resets (quota counters stay in HyUser.traffic).
+ */
+
+const mongoose = require('mongoose');
+
+const userNodeTrafficSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    node: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HyNode',
+        required: true,
+    },
+    tx: { type: Number, default: 0 },
+    rx: { type: Number, default: 0 },
+    // Last stats collection with traffic from this user
+    lastSeen: { type: Date, default: null },
+}, {
+    versionKey: false,
+});
+
+userNodeTrafficSchema.index({ node: 1, userId: 1 }, { unique: true });
+userNodeTrafficSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('UserNodeTraffic', userNodeTrafficSchema);
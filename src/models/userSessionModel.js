@@ -0,0 +1,39 @@
+/**
+ * Connection session: user was online on node from startedAt to endedAt
+ *
+ * Derived from node /online polling (see sessionService), so times are
+ * accurate to the poll interval. endedAt = null while the session is open.
+ */
+
+const mongoose = require('mongoose');
+
+const userSessionSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    node: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HyNode',
+        required: true,
+    },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    // Last poll that saw the user on node
+    lastSeenAt: { type: Date, required: true },
+    // Max simultaneous connections seen during session
+    connections: { type: Number, default: 1 },
+}, {
+    versionKey: false,
+});
+
+userSessionSchema.index({ node: 1, endedAt: 1 });
+userSessionSchema.index({ userId: 1, startedAt: -1 });
+userSessionSchema.index({ startedAt: 1 });
+
+/**
+ * Session length in seconds (open sessions: until last poll that saw them)
+ */
+userSessionSchema.statics.getDuration = function(session) {
+    const end = session.endedAt || session.lastSeenAt;
+    return Math.max(0, Math.round((new Date(end) - new Date(session.startedAt)) / 1000));
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
@@ -0,0 +1,50 @@
+/**
+ * Per-user traffic buckets: usage added by stats collection per day (and optionally per hour)
+ */
+
+const mongoose = require('mongoose');
+
+const GRANULARITIES = ['hourly', 'daily'];
+
+const userTrafficSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    type: { type: String, enum: GRANULARITIES, required: true },
+    // Bucket start (server local time, same as StatsSnapshot)
+    ts: { type: Date, required: true },
+    tx: { type: Number, default: 0 },
+    rx: { type: Number, default: 0 },
+}, {
+    versionKey: false,
+});
+
+userTrafficSchema.index({ userId: 1, type: 1, ts: 1 }, { unique: true });
+
+// Retention cleanup
+userTrafficSchema.index({ type: 1, ts: 1 });
+
+/**
+ * Start of the bucket containing date
+ */
+userTrafficSchema.statics.bucketStart = function(type, date) {
+    const d = new Date(date);
+    d.setMinutes(0, 0, 0);
+    if (type === 'daily') d.setHours(0);
+    return d;
+};
+
+/**
+ * Next bucket start
+ */
+userTrafficSchema.statics.nextBucket = function(type, date) {
+    const d = new Date(date);
+    if (type === 'daily') {
+        d.setDate(d.getDate() + 1);
+    } else {
+        d.setHours(d.getHours() + 1);
+    }
+    return d;
+};
+
+userTrafficSchema.statics.GRANULARITIES = GRANULARITIES;
+
+module.exports = mongoose.model('UserTraffic', userTrafficSchema);
@@ -0,0 +1,40 @@
+/**
+ * Webhook delivery log: one entry per event per endpoint, updated on each attempt
+ * TTL-bounded: entries expire automatically after RETENTION_DAYS
+ */
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 14;
+
+const STATUSES = ['pending', 'success', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+    },
+    event: { type: String, required: true },
+    // Exact JSON body that is signed and sent on every attempt
+    payload: { type: String, required: true },
+    // pending = waiting for (re)try, failed = out of attempts
+    status: { type: String, enum: STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null },
+    responseStatus: { type: Number, default: null },
+    lastError: { type: String, default: '' },
+    deliveredAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+}, {
+    versionKey: false,
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+webhookDeliverySchema.statics.STATUSES = STATUSES;
+webhookDeliverySchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
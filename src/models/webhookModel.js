@@ -0,0 +1,42 @@
+/**
+ * Outbound webhook endpoint
+ * Receives signed POSTs for subscribed panel events (see webhookService)
+ */
+
+const mongoose = require('mongoose');
+
+const EVENTS = [
+    'user.created',
+    'user.enabled',
+    'user.disabled',
+    'user.expired',
+    'user.quota_reached',
+    'user.deleted',
+    'user.restored',
+    'node.offline',
+    'node.online',
+    'node.sync_failed',
+    'backup.completed',
+    'backup.failed',
+];
+
+const webhookSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+    // HMAC-SHA256 key for X-Webhook-Signature
+    secret: { type: String, required: true },
+    // Empty = all events
+    events: [{ type: String, enum: EVENTS }],
+    enabled: { type: Boolean, default: true },
+}, { timestamps: true });
+
+webhookSchema.statics.EVENTS = EVENTS;
+
+/**
+ * Whether endpoint is subscribed to event
+ */
+webhookSchema.statics.isSubscribed = function(webhook, event) {
+    return webhook.enabled !== false && (!webhook.events?.length || webhook.events.includes(event));
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -1,16 +1,29 @@
 /**
  * HTTP Auth endpoint for Hysteria 2 nodes
  * Nodes send requests here on each client connection
+ * 
+ * Each node calls /api/auth/:nodeToken so the panel knows which node is asking
+ * and can reject users that don't have access to it.
+ * Legacy /api/auth (without token) is accepted unless nodeAuth.requireNodeToken is set.
+ * 
+ * Redis/MongoDB outages are handled by authFailover.policy (see authFallbackService).
  */
 
 const express = require('express');
 const router = express.Router();
 const HyUser = require('../models/hyUserModel');
+const HyNode = require('../models/hyNodeModel');
 const cryptoService = require('../services/cryptoService');
 const cache = require('../services/cacheService');
-const { getSettings } = require('../utils/helpers');
+const authLog = require('../services/authLogService');
+const authFallback = require('../services/authFallbackService');
+const accessRules = require('../services/accessRuleService');
+const { getSettings, getActiveNodesWithCache, isNodeAllowedForUser, getEffectiveMaxDevices, invalidateUserCache } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+const CREDENTIAL_TOUCH_INTERVAL = 5 * 60 * 1000;
+const credentialTouches = new Map();
+
 /**
  * Extract IP from addr (IPv4 and IPv6 support)
  */
@@ -41,13 +54,16 @@ function extractIP(addr) {
 /**
  * Check device limit by unique IPs
  */
-async function checkDeviceLimit(userId, clientIP, maxDevices) {
+async function checkDeviceLimit(userId, clientIP, maxDevices, settings) {
     try {
-        const settings = await getSettings();
+        if (!cache.isConnected()) {
+            throw new Error('Redis not connected');
+        }
+        
         const gracePeriodMinutes = settings?.deviceGracePeriod ?? 15;
         const gracePeriodMs = gracePeriodMinutes * 60 * 1000;
         
-        const deviceIPs = await cache.getDeviceIPs(userId);
+        const deviceIPs = await authFallback.redis.exec(() => cache.getDeviceIPs(userId));
         const now = Date.now();
         
         const activeIPs = new Set();
@@ -64,56 +80,213 @@ async function checkDeviceLimit(userId, clientIP, maxDevices) {
             return { allowed: false, activeCount };
         }
         
-        await cache.updateDeviceIP(userId, clientIP);
+        await authFallback.redis.exec(() => cache.updateDeviceIP(userId, clientIP));
         
         // Periodically clean old IPs (not on every request)
         if (Math.random() < 0.1) {
-            await cache.cleanupOldDeviceIPs(userId, gracePeriodMs);
+            await authFallback.redis.exec(() => cache.cleanupOldDeviceIPs(userId, gracePeriodMs));
         }
         
         return { allowed: true, activeCount };
     } catch (err) {
         logger.error(`[Auth] Device check error: ${err.message}`);
-        // On error - allow (fail open)
-        return { allowed: true, activeCount: 0 };
+        // Device count is unknown: only fail-closed policy rejects
+        const allowed = authFallback.getPolicy(settings) !== 'fail_closed';
+        return { allowed, activeCount: 0, error: err.message };
+    }
+}
+
+/**
+ * Find user credential (app password) by password
+ * Cached users keep only passwordHash
+ */
+function findCredential(user, password) {
+    if (!user.credentials?.length) return null;
+    
+    const hash = cryptoService.hashSecret(password);
+    return user.credentials.find(c => (c.password ? c.password === password : c.passwordHash === hash)) || null;
+}
+
+/**
+ * Update credential lastUsedAt (at most once per CREDENTIAL_TOUCH_INTERVAL, not awaited)
+ */
+function touchCredential(userId, credentialId) {
+    const key = String(credentialId);
+    const now = Date.now();
+    const last = credentialTouches.get(key);
+    if (last && now - last < CREDENTIAL_TOUCH_INTERVAL) return;
+    
+    credentialTouches.set(key, now);
+    HyUser.updateOne(
+        { userId, 'credentials._id': credentialId },
+        { $set: { 'credentials.$.lastUsedAt': new Date(now) } }
+    ).catch(err => logger.error(`[Auth] Credential lastUsedAt error: ${err.message}`));
+}
+
+/**
+ * Start expiry of on-hold user on first successful auth (not awaited)
+ */
+function activateOnHold(user) {
+    HyUser.activateOnHold(user.userId, user.onHold.durationDays)
+        .then(async (activated) => {
+            if (!activated) return;
+            logger.info(`[Auth] On-hold subscription activated: ${user.userId}, expires ${activated.expireAt.toISOString()}`);
+            await invalidateUserCache(activated.userId, activated.subscriptionToken, activated.credentials, { dashboard: false });
+        })
+        .catch(err => logger.error(`[Auth] On-hold activation error: ${err.message}`));
+}
+
+/**
+ * Get settings, last known settings if backend is unavailable
+ */
+async function getSettingsSafe() {
+    try {
+        const settings = await authFallback.mongo.exec(() => getSettings());
+        authFallback.rememberSettings(settings);
+        return settings;
+    } catch (err) {
+        logger.error(`[Auth] Settings unavailable: ${err.message}`);
+        return authFallback.recallSettings() || {};
     }
 }
 
 /**
  * Get user with caching
+ * Redis errors fall through to MongoDB, MongoDB errors are thrown
  */
 async function getUserWithCache(userId) {
-    const cached = await cache.getUser(userId);
+    const cached = await authFallback.redis.exec(() => cache.getUser(userId)).catch(() => null);
     if (cached) {
         return cached;
     }
     
-    const user = await HyUser.findOne({ userId }).populate('groups', 'maxDevices').lean();
+    const user = await authFallback.mongo.exec(
+        () => HyUser.findOne({ userId }).populate('groups', 'name maxDevices accessRules').lean()
+    );
     
     if (user) {
-        await cache.setUser(userId, user);
+        await authFallback.redis.exec(() => cache.setUser(userId, user)).catch(() => {});
     }
     
     return user;
 }
 
 /**
- * POST /auth - User authorization check
+ * Find active node by its auth token
+ * Cached active nodes first, DB fallback for freshly issued tokens
+ */
+async function getNodeByAuthToken(nodeToken) {
+    if (!nodeToken) return null;
+    
+    let node;
+    try {
+        const nodes = await authFallback.mongo.exec(() => getActiveNodesWithCache());
+        node = nodes.find(n => n.authToken && n.authToken === nodeToken)
+            || await authFallback.mongo.exec(() => HyNode.findOne({ authToken: nodeToken, active: true }).lean());
+    } catch (err) {
+        node = authFallback.recallNode(nodeToken);
+        if (!node) throw err;
+        logger.warn(`[Auth] Node lookup failed, using last known node ${node.name}: ${err.message}`);
+        return node;
+    }
+    
+    if (node) {
+        authFallback.rememberNode(nodeToken, node);
+    }
+    
+    return node;
+}
+
+/**
+ * Traffic limit (base plus active traffic packs) and expiry
+ * @returns {string|null} rejection reason: traffic_exceeded | expired
+ */
+function checkLimits(user, now = new Date()) {
+    const trafficLimit = HyUser.getTrafficLimit(user, now);
+    if (trafficLimit > 0) {
+        const usedTraffic = (user.traffic?.tx || 0) + (user.traffic?.rx || 0);
+        if (usedTraffic >= trafficLimit) return 'traffic_exceeded';
+    }
+    
+    // On hold: expiry starts with this connection
+    if (!HyUser.isOnHold(user) && user.expireAt && new Date(user.expireAt) < now) {
+        return 'expired';
+    }
+    
+    return null;
+}
+
+/**
+ * POST /auth/:nodeToken? - User authorization check
  * 
  * Hysteria sends: { "addr": "IP:port", "auth": "userId:password", "tx": bandwidth }
  * Response: { "ok": true, "id": "userId" } or { "ok": false }
  */
-router.post('/', async (req, res) => {
-    try {
-        const { addr, auth, tx } = req.body;
+async function handleAuth(req, res) {
+    const { addr, auth, tx } = req.body;
+    const { nodeToken } = req.params;
+    const clientIP = extractIP(addr);
+    
+    let userId = null;
+    let node = null;
+    let settings = null;
+    
+    // Record decision in auth log and respond to node
+    const decide = (ok, reason, detail = '') => {
+        authLog.record({ userId, ip: clientIP, node, ok, reason, detail });
+        return res.json(ok ? { ok: true, id: userId } : { ok: false });
+    };
+    
+    // Redis/MongoDB unavailable - decide by failover policy
+    const failover = (error) => {
+        if (!authFallback.isBackendError(error)) {
+            logger.error(`[Auth] Error: ${error.stack || error.message}`);
+            return decide(false, 'error', error.message);
+        }
+        
+        const policy = authFallback.getPolicy(settings);
+        
+        if (policy === 'fail_open') {
+            logger.warn(`[Auth] Backend unavailable, accepted (fail-open): ${userId} (${addr}): ${error.message}`);
+            return decide(true, 'ok', `fail-open: ${error.message}`);
+        }
+        
+        if (policy === 'last_known_good') {
+            const known = authFallback.recallUser(userId, auth, settings);
+            const allowed = known && (!nodeToken || (node && isNodeAllowedForUser(known, node)));
+            // Snapshot may be older than the expiry date or traffic limit,
+            // and was authorized from another IP
+            const limit = known && checkLimits(known);
+            
+            if (limit) {
+                logger.warn(`[Auth] Backend unavailable, rejected (last known good, ${limit}): ${userId} (${addr})`);
+                return decide(false, limit, `last-known-good: ${error.message}`);
+            }
+            
+            const access = known && accessRules.check(known, clientIP);
+            if (access && !access.allowed) {
+                logger.warn(`[Auth] Backend unavailable, rejected (last known good, access rules): ${userId} (${addr}): ${access.detail}`);
+                return decide(false, access.reason, `last-known-good: ${access.detail}`);
+            }
+            
+            if (allowed) {
+                logger.warn(`[Auth] Backend unavailable, accepted (last known good): ${userId} (${addr})`);
+                return decide(true, 'ok', `last-known-good: ${error.message}`);
+            }
+        }
         
+        logger.error(`[Auth] Error: ${error.message}`);
+        return decide(false, 'error', error.message);
+    };
+    
+    try {
         if (!auth) {
             logger.warn(`[Auth] Empty auth from ${addr}`);
             return res.json({ ok: false });
         }
         
         // Parse auth string: can be "userId:password" or just "userId"
-        let userId, password;
+        let password;
         
         if (auth.includes(':')) {
             [userId, password] = auth.split(':');
@@ -122,72 +295,110 @@ router.post('/', async (req, res) => {
             password = null;
         }
         
+        settings = await getSettingsSafe();
+        
+        if (nodeToken) {
+            node = await getNodeByAuthToken(nodeToken);
+            if (!node) {
+                logger.warn(`[Auth] Unknown or inactive node token: ${userId} (${addr})`);
+                return decide(false, 'unknown_node');
+            }
+        } else if (settings?.nodeAuth?.requireNodeToken) {
+            logger.warn(`[Auth] Request without node token rejected: ${userId} (${addr})`);
+            return decide(false, 'unknown_node', 'no node token');
+        }
+        
         const user = await getUserWithCache(userId);
         
         if (!user) {
             logger.warn(`[Auth] User not found: ${userId} (${addr})`);
-            return res.json({ ok: false });
+            return decide(false, 'not_found');
         }
         
         if (!user.enabled) {
             logger.warn(`[Auth] Subscription inactive: ${userId} (${addr})`);
-            return res.json({ ok: false });
+            return decide(false, 'inactive');
         }
         
+        let credential = null;
+        
         if (password) {
             const expectedPassword = cryptoService.generatePassword(userId);
             if (password !== expectedPassword && password !== user.password) {
-                logger.warn(`[Auth] Invalid password: ${userId} (${addr})`);
-                return res.json({ ok: false });
+                credential = findCredential(user, password);
+                
+                if (!credential) {
+                    logger.warn(`[Auth] Invalid password: ${userId} (${addr})`);
+                    return decide(false, 'invalid_password');
+                }
+                
+                if (credential.revoked) {
+                    logger.warn(`[Auth] Credential revoked: ${userId} "${credential.name}" (${addr})`);
+                    return decide(false, 'credential_revoked', credential.name);
+                }
+                
+                if (!HyUser.isCredentialActive(credential)) {
+                    logger.warn(`[Auth] Credential expired: ${userId} "${credential.name}" (${addr})`);
+                    return decide(false, 'credential_expired', credential.name);
+                }
             }
         }
         
-        if (user.trafficLimit > 0) {
-            const usedTraffic = (user.traffic?.tx || 0) + (user.traffic?.rx || 0);
-            if (usedTraffic >= user.trafficLimit) {
-                logger.warn(`[Auth] Traffic limit exceeded: ${userId} (${addr})`);
-                return res.json({ ok: false });
-            }
+        if (node && !isNodeAllowedForUser(user, node)) {
+            logger.warn(`[Auth] Node not allowed: ${userId} (${addr}) on ${node.name}`);
+            return decide(false, 'node_not_allowed');
         }
         
-        if (user.expireAt && new Date(user.expireAt) < new Date()) {
-            logger.warn(`[Auth] Subscription expired: ${userId} (${addr})`);
-            return res.json({ ok: false });
+        const access = accessRules.check(user, clientIP);
+        if (!access.allowed) {
+            logger.warn(`[Auth] Access rules: ${userId} (${addr}): ${access.detail}`);
+            return decide(false, access.reason, access.detail);
         }
         
-        let maxDevices = user.maxDevices;
-        
-        // If user has 0 - use minimum from groups
-        if (maxDevices === 0 && user.groups?.length > 0) {
-            const groupLimits = user.groups
-                .filter(g => g.maxDevices > 0)
-                .map(g => g.maxDevices);
-            
-            if (groupLimits.length > 0) {
-                maxDevices = Math.min(...groupLimits);
-            }
+        const limit = checkLimits(user);
+        if (limit) {
+            logger.warn(`[Auth] ${limit === 'expired' ? 'Subscription expired' : 'Traffic limit exceeded'}: ${userId} (${addr})`);
+            return decide(false, limit);
         }
         
+        const maxDevices = getEffectiveMaxDevices(user);
+        
         // -1 = unlimited, 0 = no limit (no settings)
-        if (maxDevices > 0) {
-            const clientIP = extractIP(addr);
+        // In hwid mode the limit is enforced on device registration (subscription route):
+        // auth carries no HWID, so devices can't be told apart here
+        if (maxDevices > 0 && settings?.deviceLimitMode !== 'hwid') {
+            const { allowed, activeCount, error } = await checkDeviceLimit(userId, clientIP, maxDevices, settings);
             
-            const { allowed, activeCount } = await checkDeviceLimit(userId, clientIP, maxDevices);
+            if (!allowed && error) {
+                return decide(false, 'error', `device check: ${error}`);
+            }
             
             if (!allowed) {
                 logger.warn(`[Auth] Device limit exceeded (${activeCount}/${maxDevices} IP): ${userId} (${addr})`);
-                return res.json({ ok: false });
+                return decide(false, 'device_limit', `${activeCount}/${maxDevices}`);
             }
         }
         
-        logger.debug(`[Auth] Authorized: ${userId} (${addr})`);
+        logger.debug(`[Auth] Authorized: ${userId} (${addr})${node ? ` on ${node.name}` : ''}`);
+        
+        authFallback.rememberUser(userId, auth, user);
+        
+        if (credential) {
+            touchCredential(userId, credential._id);
+        }
+        
+        if (HyUser.isOnHold(user)) {
+            activateOnHold(user);
+        }
         
-        return res.json({ ok: true, id: userId });
+        return decide(true, 'ok', credential ? credential.name : '');
         
     } catch (error) {
-        logger.error(`[Auth] Error: ${error.message}`);
-        return res.json({ ok: false });
+        return failover(error);
     }
-});
+}
+
+router.post('/', handleAuth);
+router.post('/:nodeToken', handleAuth);
 
 module.exports = router;
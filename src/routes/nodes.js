@@ -9,6 +9,8 @@ const HyUser = require('../models/hyUserModel');
 const ServerGroup = require('../models/serverGroupModel');
 const cryptoService = require('../services/cryptoService');
 const cache = require('../services/cacheService');
+const userTrafficService = require('../services/userTrafficService');
+const trashService = require('../services/trashService');
 const logger = require('../utils/logger');
 
 /**
@@ -165,28 +167,20 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * DELETE /nodes/:id - Удалить ноду
+ * DELETE /nodes/:id - Удалить ноду (в корзину, восстановление - /api/trash)
+ * Нода убирается из списков пользователей, трафик по ноде удаляется при очистке корзины
  */
 router.delete('/:id', async (req, res) => {
     try {
-        const node = await HyNode.findByIdAndDelete(req.params.id);
+        const node = await trashService.trashNode(req.params.id);
         
         if (!node) {
             return res.status(404).json({ error: 'Нода не найдена' });
         }
         
-        // Удаляем ноду из списка пользователей
-        await HyUser.updateMany(
-            { nodes: node._id },
-            { $pull: { nodes: node._id } }
-        );
-        
-        // Инвалидируем кэш
-        await invalidateNodesCache();
+        logger.info(`[Nodes API] Deleted node ${node.name} (moved to trash)`);
         
-        logger.info(`[Nodes API] Deleted node ${node.name}`);
-        
-        res.json({ success: true, message: 'Нода удалена' });
+        res.json({ success: true, message: 'Нода перемещена в корзину' });
     } catch (error) {
         logger.error(`[Nodes API] Delete error: ${error.message}`);
         res.status(500).json({ error: error.message });
@@ -267,6 +261,7 @@ router.post('/:id/sync', async (req, res) => {
 
 /**
  * GET /nodes/:id/users - Пользователи на ноде
+ * Query: sort? (traffic - пользователи с наибольшим трафиком через эту ноду), limit? (для sort=traffic, по умолчанию 20)
  */
 router.get('/:id/users', async (req, res) => {
     try {
@@ -276,6 +271,11 @@ router.get('/:id/users', async (req, res) => {
             return res.status(404).json({ error: 'Нода не найдена' });
         }
         
+        if (req.query.sort === 'traffic') {
+            const topUsers = await userTrafficService.getNodeTopUsers(node._id, req.query.limit);
+            return res.json(topUsers);
+        }
+        
         const users = await HyUser.find({
             nodes: node._id,
             enabled: true
@@ -355,12 +355,12 @@ router.get('/:id/config', async (req, res) => {
             return res.status(404).json({ error: 'Нода не найдена' });
         }
         
-        // Генерируем конфиг с HTTP авторизацией
+        // Генерируем конфиг с HTTP авторизацией (URL содержит токен ноды)
         const configGenerator = require('../services/configGenerator');
-        const config = require('../../config');
+        const syncService = require('../services/syncService');
         
-        const baseUrl = process.env.BASE_URL || `http://localhost:${config.PORT}`;
-        const authUrl = `${baseUrl}/api/auth`;
+        await HyNode.ensureAuthToken(node);
+        const authUrl = syncService.getAuthUrl(node);
         
         const configContent = configGenerator.generateNodeConfig(node, authUrl);
         
@@ -0,0 +1,68 @@
+/**
+ * API онлайн-пользователей (по всем нодам)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const HyUser = require('../models/hyUserModel');
+const onlineService = require('../services/onlineService');
+const syncService = require('../services/syncService');
+const cache = require('../services/cacheService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /online - Кто сейчас онлайн
+ * Данные обновляются health check'ом нод раз в минуту
+ */
+router.get('/', async (req, res) => {
+    try {
+        const online = await onlineService.getOnlineUsers();
+        if (!online) {
+            return res.status(503).json({ error: 'Redis недоступен' });
+        }
+        
+        res.json({
+            total: online.users.length,
+            connections: online.connections,
+            users: online.users,
+        });
+    } catch (error) {
+        logger.error(`[Online API] List error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /online/:userId/kick - Отключить пользователя
+ * Body: { nodeId? } - только с одной ноды, иначе со всех
+ */
+router.post('/:userId/kick', async (req, res) => {
+    try {
+        const { nodeId } = req.body || {};
+        if (nodeId && !mongoose.Types.ObjectId.isValid(nodeId)) {
+            return res.status(400).json({ error: 'Неверный nodeId' });
+        }
+        
+        const exists = await HyUser.exists({ userId: req.params.userId });
+        if (!exists) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        
+        await syncService.kickUser(req.params.userId, nodeId || null);
+        
+        // Устройства освобождаются только при отключении со всех нод
+        if (!nodeId) {
+            await cache.clearDeviceIPs(req.params.userId);
+        }
+        
+        logger.info(`[Online API] Kicked ${req.params.userId}${nodeId ? ` from node ${nodeId}` : ''}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`[Online API] Kick error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -25,12 +25,24 @@ const HyNode = require('../models/hyNodeModel');
 const ServerGroup = require('../models/serverGroupModel');
 const Settings = require('../models/settingsModel');
 const Admin = require('../models/adminModel');
+const Plan = require('../models/planModel');
+const Webhook = require('../models/webhookModel');
+const Trash = require('../models/trashModel');
 const syncService = require('../services/syncService');
 const cryptoService = require('../services/cryptoService');
 const cache = require('../services/cacheService');
+const deviceService = require('../services/deviceService');
+const accessRuleService = require('../services/accessRuleService');
+const planService = require('../services/planService');
+const trafficResetService = require('../services/trafficResetService');
+const userTrafficService = require('../services/userTrafficService');
+const onlineService = require('../services/onlineService');
+const sessionService = require('../services/sessionService');
+const webhookService = require('../services/webhookService');
+const trashService = require('../services/trashService');
 const nodeSetup = require('../services/nodeSetup');
 const NodeSSH = require('../services/nodeSSH');
-const { getActiveGroups, invalidateGroupsCache, invalidateSettingsCache } = require('../utils/helpers');
+const { getActiveGroups, invalidateGroupsCache, getSettings, invalidateSettingsCache, getTagStats, invalidateUsersCache } = require('../utils/helpers');
 const config = require('../../config');
 const logger = require('../utils/logger');
 const path = require('path');
@@ -279,7 +291,7 @@ router.get('/', requireAuth, async (req, res) => {
         
         if (!counts) {
             // Если кэша нет — запрашиваем из БД
-            const [trafficAgg, usersTotal, usersEnabled, nodesTotal, nodesOnline] = await Promise.all([
+            const [trafficAgg, usersTotal, usersEnabled, nodesTotal, nodesOnline, tagStats] = await Promise.all([
                 HyUser.aggregate([
                     { $group: { 
                         _id: null, 
@@ -291,6 +303,7 @@ router.get('/', requireAuth, async (req, res) => {
                 HyUser.countDocuments({ enabled: true }),
                 HyNode.countDocuments(),
                 HyNode.countDocuments({ status: 'online' }),
+                getTagStats(10),
             ]);
             
             const trafficStats = trafficAgg[0] || { tx: 0, rx: 0 };
@@ -301,13 +314,14 @@ router.get('/', requireAuth, async (req, res) => {
                 nodesTotal,
                 nodesOnline,
                 trafficStats,
+                tagStats,
             };
             
             // Сохраняем в кэш на 1 минуту
             await cache.setDashboardCounts(counts);
         }
         
-        const { usersTotal, usersEnabled, nodesTotal, nodesOnline, trafficStats } = counts;
+        const { usersTotal, usersEnabled, nodesTotal, nodesOnline, trafficStats, tagStats = [] } = counts;
         
         const nodes = await HyNode.find({ active: true })
             .select('name ip status onlineUsers maxOnlineUsers groups traffic')
@@ -332,6 +346,7 @@ router.get('/', requireAuth, async (req, res) => {
                     rx: trafficStats.rx || 0,
                     total: totalTrafficBytes,
                 },
+                tags: tagStats,
             },
             nodes,
         });
@@ -426,11 +441,14 @@ router.get('/nodes/:id', requireAuth, async (req, res) => {
             return res.redirect('/panel/nodes');
         }
         
+        const topUsers = await userTrafficService.getNodeTopUsers(node._id, 20);
+        
         render(res, 'node-form', {
             title: `Редактирование: ${node.name}`,
             page: 'nodes',
             node,
             groups,
+            topUsers,
         });
     } catch (error) {
         res.status(500).send('Error: ' + error.message);
@@ -616,12 +634,14 @@ router.get('/nodes/:id/logs', requireAuth, async (req, res) => {
 // GET /panel/users - Список пользователей (с поиском и сортировкой)
 router.get('/users', requireAuth, async (req, res) => {
     try {
-        const { enabled, group, page = 1, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+        const { enabled, group, tag, onHold, page = 1, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
         const limit = 50;
         
         const filter = {};
         if (enabled !== undefined) filter.enabled = enabled === 'true';
         if (group) filter.groups = group;
+        if (tag) filter.tags = { $all: HyUser.normalizeTags(tag) };
+        if (onHold === 'true') filter['onHold.durationDays'] = { $gt: 0 };
         
         // Поиск по userId или username
         if (search && search.trim()) {
@@ -680,9 +700,11 @@ router.get('/users', requireAuth, async (req, res) => {
                 .lean();
         }
         
-        const [total, groups] = await Promise.all([
+        const [total, groups, tags, onlineUserIds] = await Promise.all([
             HyUser.countDocuments(filter),
             getActiveGroups(),
+            getTagStats(),
+            onlineService.getOnlineUserIds(),
         ]);
         
         render(res, 'users', {
@@ -690,6 +712,7 @@ router.get('/users', requireAuth, async (req, res) => {
             page: 'users',
             users,
             groups,
+            tags,
             pagination: {
                 page: parseInt(page),
                 limit,
@@ -697,6 +720,9 @@ router.get('/users', requireAuth, async (req, res) => {
                 pages: Math.ceil(total / limit),
             },
             query: req.query,
+            // Базовый лимит + активные пакеты трафика
+            trafficLimits: new Map(users.map(u => [u.userId, HyUser.getTrafficLimit(u)])),
+            onlineUserIds,
         });
     } catch (error) {
         res.status(500).send('Error: ' + error.message);
@@ -705,23 +731,36 @@ router.get('/users', requireAuth, async (req, res) => {
 
 // GET /panel/users/add - Форма создания пользователя
 router.get('/users/add', requireAuth, async (req, res) => {
-    const groups = await getActiveGroups();
+    const [groups, plans] = await Promise.all([
+        getActiveGroups(),
+        Plan.find({ active: true }).sort({ name: 1 }).lean(),
+    ]);
     render(res, 'user-form', {
         title: 'Новый пользователь',
         page: 'users',
         groups,
+        plans,
     });
 });
 
 // POST /panel/users - Создание пользователя
 router.post('/users', requireAuth, async (req, res) => {
     try {
-        const { userId, username, trafficLimitGB, expireDays, enabled, maxDevices } = req.body;
+        const { userId, username, trafficLimitGB, expireDays, onHold, enabled, maxDevices, planId, note, tags } = req.body;
         
         if (!userId) {
             return res.status(400).send('userId обязателен');
         }
         
+        // Тариф: поля формы уже заполнены из него, запоминаем привязку и стратегию сброса
+        let plan = null;
+        if (planId) {
+            plan = await planService.getPlan(planId);
+            if (!plan) {
+                return res.status(400).send('Тариф не найден');
+            }
+        }
+        
         // Проверяем существование
         const existing = await HyUser.findOne({ userId });
         if (existing) {
@@ -737,31 +776,43 @@ router.post('/users', requireAuth, async (req, res) => {
             groups = Array.isArray(req.body.groups) ? req.body.groups : [req.body.groups];
         }
         
-        // Expire
+        // Expire (с отметкой "с первого подключения" срок начнётся при первой авторизации)
         let expireAt = null;
+        let onHoldDays = 0;
         if (expireDays && parseInt(expireDays) > 0) {
-            expireAt = new Date();
-            expireAt.setDate(expireAt.getDate() + parseInt(expireDays));
+            if (onHold === 'on') {
+                onHoldDays = parseInt(expireDays);
+            } else {
+                expireAt = new Date();
+                expireAt.setDate(expireAt.getDate() + parseInt(expireDays));
+            }
         }
         
         // Traffic limit в байтах
-        const trafficLimit = trafficLimitGB ? parseInt(trafficLimitGB) * 1024 * 1024 * 1024 : 0;
+        const trafficLimit = trafficLimitGB ? Math.round(parseFloat(trafficLimitGB) * 1024 * 1024 * 1024) : 0;
         
         // Max devices (0 = use group limit, -1 = unlimited)
         const userMaxDevices = parseInt(maxDevices) || 0;
         
-        await HyUser.create({
+        const user = await HyUser.create({
             userId,
             username: username || '',
             password,
+            note: note || '',
+            tags: HyUser.normalizeTags(tags),
             groups,
             enabled: enabled === 'on',
             trafficLimit,
             maxDevices: userMaxDevices,
             expireAt,
+            onHold: { durationDays: onHoldDays },
             nodes: [], // Ноды автоматически по группам
+            plan: plan ? plan._id : null,
+            trafficResetStrategy: plan ? plan.trafficResetStrategy : 'none',
         });
         
+        webhookService.emitUser('user.created', user);
+        
         res.redirect(`/panel/users/${userId}`);
     } catch (error) {
         res.status(500).send('Ошибка: ' + error.message);
@@ -771,11 +822,18 @@ router.post('/users', requireAuth, async (req, res) => {
 // GET /panel/users/:userId - Детали пользователя
 router.get('/users/:userId', requireAuth, async (req, res) => {
     try {
-        const [user, allGroups] = await Promise.all([
+        const [user, allGroups, devices, plans, trafficHistory, nodeTraffic, sessions, settings] = await Promise.all([
             HyUser.findOne({ userId: req.params.userId })
                 .populate('nodes', 'name ip domain')
-                .populate('groups', 'name color'),
+                .populate('groups', 'name color maxDevices')
+                .populate('plan', 'name'),
             getActiveGroups(),
+            deviceService.listDevices(req.params.userId),
+            Plan.find({ active: true }).sort({ name: 1 }).select('name').lean(),
+            trafficResetService.getHistory(req.params.userId, 12),
+            userTrafficService.getUserNodeTraffic(req.params.userId),
+            sessionService.getUserSessions(req.params.userId, { limit: 20 }),
+            getSettings(),
         ]);
         
         if (!user) {
@@ -787,6 +845,32 @@ router.get('/users/:userId', requireAuth, async (req, res) => {
             page: 'users',
             user,
             allGroups,
+            devices,
+            plans,
+            trafficHistory,
+            nodeTraffic,
+            sessions,
+            trafficLimit: HyUser.getTrafficLimit(user),
+            strategies: Plan.TRAFFIC_RESET_STRATEGIES,
+            tokenGraceHours: settings?.subscription?.tokenGraceHours || 0,
+            hourlyTraffic: !!settings?.userTraffic?.hourly,
+        });
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// ==================== ONLINE ====================
+
+// GET /panel/online - Кто сейчас онлайн (обновляется на странице через /api/online)
+router.get('/online', requireAuth, async (req, res) => {
+    try {
+        const online = await onlineService.getOnlineUsers();
+        
+        render(res, 'online', {
+            title: 'Онлайн',
+            page: 'online',
+            online,
         });
     } catch (error) {
         res.status(500).send('Error: ' + error.message);
@@ -857,6 +941,18 @@ router.post('/groups/:id', requireAuth, async (req, res) => {
     try {
         const { name, description, color, active, maxDevices, subscriptionTitle } = req.body;
         
+        let accessRules;
+        try {
+            accessRules = accessRuleService.normalizeRules({
+                ipAllow: req.body['accessRules.ipAllow'],
+                ipDeny: req.body['accessRules.ipDeny'],
+                countryAllow: req.body['accessRules.countryAllow'],
+                countryDeny: req.body['accessRules.countryDeny'],
+            });
+        } catch (err) {
+            return res.status(400).send(err.message);
+        }
+        
         await ServerGroup.findByIdAndUpdate(req.params.id, {
             $set: {
                 name: name?.trim() || '',
@@ -865,32 +961,237 @@ router.post('/groups/:id', requireAuth, async (req, res) => {
                 active: active === 'on',
                 maxDevices: parseInt(maxDevices) || 0,
                 subscriptionTitle: subscriptionTitle?.trim() || '',
+                accessRules,
             }
         });
         
         // Инвалидируем кэш групп
         await invalidateGroupsCache();
         
+        // Группы (лимит устройств, правила доступа) лежат в кэше пользователей для auth
+        const members = await HyUser.find({ groups: req.params.id })
+            .select('userId subscriptionToken credentials.token')
+            .lean();
+        await invalidateUsersCache(members);
+        
         res.redirect('/panel/groups');
     } catch (error) {
         res.status(500).send('Error: ' + error.message);
     }
 });
 
-// POST /panel/groups/:id/delete - Удалить группу
+// POST /panel/groups/:id/delete - Удалить группу (в корзину, убирается из всех нод и пользователей)
 router.post('/groups/:id/delete', requireAuth, async (req, res) => {
     try {
-        // Удаляем группу из всех нод и пользователей
-        await Promise.all([
-            HyNode.updateMany({ groups: req.params.id }, { $pull: { groups: req.params.id } }),
-            HyUser.updateMany({ groups: req.params.id }, { $pull: { groups: req.params.id } }),
-            ServerGroup.findByIdAndDelete(req.params.id),
+        await trashService.trashGroup(req.params.id);
+        
+        res.redirect('/panel/groups');
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// ==================== PLANS ====================
+
+/**
+ * Поля тарифа из формы панели
+ */
+function getPlanFormInput(body) {
+    return {
+        name: body.name,
+        description: body.description || '',
+        trafficLimitGB: body.trafficLimitGB || 0,
+        durationDays: body.durationDays,
+        maxDevices: body.maxDevices,
+        groups: body.groups || [],
+        trafficResetStrategy: body.trafficResetStrategy,
+        active: body.active === 'on',
+    };
+}
+
+// GET /panel/plans - Список тарифов
+router.get('/plans', requireAuth, async (req, res) => {
+    try {
+        const [plans, groups] = await Promise.all([
+            Plan.find().sort({ name: 1 }).lean(),
+            getActiveGroups(),
         ]);
         
-        // Инвалидируем кэш групп
-        await invalidateGroupsCache();
+        const plansWithCounts = await Promise.all(plans.map(async (plan) => ({
+            ...plan,
+            usersCount: await HyUser.countDocuments({ plan: plan._id }),
+        })));
         
-        res.redirect('/panel/groups');
+        render(res, 'plans', {
+            title: 'Тарифы',
+            page: 'plans',
+            plans: plansWithCounts,
+            groups,
+            strategies: Plan.TRAFFIC_RESET_STRATEGIES,
+        });
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// POST /panel/plans - Создать тариф
+router.post('/plans', requireAuth, async (req, res) => {
+    try {
+        let data;
+        try {
+            data = planService.normalizeInput({ ...getPlanFormInput(req.body), active: true });
+        } catch (err) {
+            return res.status(400).send(err.message);
+        }
+        
+        await Plan.create(data);
+        
+        res.redirect('/panel/plans');
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).send('Тариф с таким названием уже существует');
+        }
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// POST /panel/plans/:id - Обновить тариф (cascade = применить к пользователям тарифа)
+router.post('/plans/:id', requireAuth, async (req, res) => {
+    try {
+        let data;
+        try {
+            data = planService.normalizeInput(getPlanFormInput(req.body));
+        } catch (err) {
+            return res.status(400).send(err.message);
+        }
+        
+        const plan = await Plan.findByIdAndUpdate(req.params.id, { $set: data }, { new: true });
+        if (!plan) {
+            return res.redirect('/panel/plans');
+        }
+        
+        if (req.body.cascade === 'on') {
+            await planService.cascade(plan);
+        }
+        
+        res.redirect('/panel/plans');
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).send('Тариф с таким названием уже существует');
+        }
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// POST /panel/plans/:id/delete - Удалить тариф
+router.post('/plans/:id/delete', requireAuth, async (req, res) => {
+    try {
+        await planService.deletePlan(req.params.id);
+        res.redirect('/panel/plans');
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// ==================== WEBHOOKS ====================
+
+/**
+ * Поля вебхука из формы панели
+ * Пустой secret не меняет ключ, ни одного события = все события
+ */
+function getWebhookFormInput(body) {
+    return {
+        name: body.name,
+        url: body.url,
+        secret: body.secret,
+        events: body.events || [],
+        enabled: body.enabled === 'on',
+    };
+}
+
+// GET /panel/webhooks - Список вебхуков
+router.get('/webhooks', requireAuth, async (req, res) => {
+    try {
+        const webhooks = await Webhook.find().sort({ name: 1 }).lean();
+        
+        render(res, 'webhooks', {
+            title: 'Вебхуки',
+            page: 'webhooks',
+            webhooks,
+            events: Webhook.EVENTS,
+        });
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// POST /panel/webhooks - Создать вебхук
+router.post('/webhooks', requireAuth, async (req, res) => {
+    try {
+        let data;
+        try {
+            data = webhookService.normalizeInput({ ...getWebhookFormInput(req.body), enabled: true });
+        } catch (err) {
+            return res.status(400).send(err.message);
+        }
+        
+        await Webhook.create(data);
+        webhookService.invalidate();
+        
+        res.redirect('/panel/webhooks');
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// POST /panel/webhooks/:id - Обновить вебхук
+router.post('/webhooks/:id', requireAuth, async (req, res) => {
+    try {
+        let data;
+        try {
+            data = webhookService.normalizeInput(getWebhookFormInput(req.body), true);
+        } catch (err) {
+            return res.status(400).send(err.message);
+        }
+        
+        await Webhook.updateOne({ _id: req.params.id }, { $set: data });
+        webhookService.invalidate();
+        
+        res.redirect('/panel/webhooks');
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// POST /panel/webhooks/:id/delete - Удалить вебхук
+router.post('/webhooks/:id/delete', requireAuth, async (req, res) => {
+    try {
+        await webhookService.deleteWebhook(req.params.id);
+        res.redirect('/panel/webhooks');
+    } catch (error) {
+        res.status(500).send('Error: ' + error.message);
+    }
+});
+
+// ==================== TRASH ====================
+
+// GET /panel/trash - Корзина
+router.get('/trash', requireAuth, async (req, res) => {
+    try {
+        const type = Trash.TYPES.includes(req.query.type) ? req.query.type : '';
+        const [entries, retentionDays] = await Promise.all([
+            trashService.list({ type }),
+            trashService.getRetentionDays(),
+        ]);
+        
+        render(res, 'trash', {
+            title: 'Корзина',
+            page: 'trash',
+            entries,
+            retentionDays,
+            type,
+            types: Trash.TYPES,
+        });
     } catch (error) {
         res.status(500).send('Error: ' + error.message);
     }
@@ -917,6 +1218,7 @@ router.get('/settings', requireAuth, async (req, res) => {
         ssl,
         admin,
         settings,
+        notificationEvents: Settings.NOTIFICATION_EVENTS,
         message: req.query.message || null,
         error: req.query.error || null,
     });
@@ -945,10 +1247,50 @@ router.post('/settings', requireAuth, async (req, res) => {
             'sshPool.connectTimeout': parseInt(req.body['sshPool.connectTimeout']) || 15,
             'sshPool.keepAliveInterval': parseInt(req.body['sshPool.keepAliveInterval']) || 30,
             'sshPool.maxRetries': parseInt(req.body['sshPool.maxRetries']) || 2,
-            // Node Auth
-            'nodeAuth.insecure': req.body['nodeAuth.insecure'] === 'on',
         };
         
+        // Режим лимита устройств (только если поле есть в форме)
+        if (req.body['deviceLimitMode']) {
+            updates['deviceLimitMode'] = req.body['deviceLimitMode'] === 'hwid' ? 'hwid' : 'ip';
+        }
+        
+        // Отключение пользователей при превышении лимита (если поля есть в форме)
+        if (req.body['_enforcementSettings']) {
+            updates['enforcement.enabled'] = req.body['enforcement.enabled'] === 'on';
+            updates['enforcement.disableUsers'] = req.body['enforcement.disableUsers'] === 'on';
+        }
+        
+        // Ссылки подписок (если поля есть в форме)
+        if (req.body['_subscriptionSettings']) {
+            updates['subscription.allowUserIdToken'] = req.body['subscription.allowUserIdToken'] === 'on';
+            updates['subscription.tokenGraceHours'] = Math.max(0, parseInt(req.body['subscription.tokenGraceHours']) || 0);
+        }
+        
+        // История трафика пользователей (если поля есть в форме)
+        if (req.body['_userTrafficSettings']) {
+            updates['userTraffic.hourly'] = req.body['userTraffic.hourly'] === 'on';
+            updates['userTraffic.dailyRetentionDays'] = Math.max(1, parseInt(req.body['userTraffic.dailyRetentionDays']) || 90);
+            updates['userTraffic.hourlyRetentionDays'] = Math.max(1, parseInt(req.body['userTraffic.hourlyRetentionDays']) || 7);
+        }
+        
+        // История подключений (если поля есть в форме)
+        if (req.body['_sessionHistorySettings']) {
+            updates['sessionHistory.enabled'] = req.body['sessionHistory.enabled'] === 'on';
+            updates['sessionHistory.retentionDays'] = Math.max(1, parseInt(req.body['sessionHistory.retentionDays']) || 30);
+        }
+        
+        // Node Auth settings (если форма Node Auth)
+        if (req.body['_nodeAuthSettings']) {
+            updates['nodeAuth.insecure'] = req.body['nodeAuth.insecure'] === 'on';
+            updates['nodeAuth.requireNodeToken'] = req.body['nodeAuth.requireNodeToken'] === 'on';
+            
+            const policy = req.body['authFailover.policy'];
+            if (['fail_open', 'fail_closed', 'last_known_good'].includes(policy)) {
+                updates['authFailover.policy'] = policy;
+            }
+            updates['authFailover.lastKnownGoodMinutes'] = parseInt(req.body['authFailover.lastKnownGoodMinutes']) || 60;
+        }
+        
         // Backup settings (если форма бэкапов)
         if (req.body['_backupSettings'] || req.body['backup.enabled'] !== undefined) {
             updates['backup.enabled'] = req.body['backup.enabled'] === 'on';
@@ -968,8 +1310,68 @@ router.post('/settings', requireAuth, async (req, res) => {
             updates['backup.s3.keepLast'] = parseInt(req.body['backup.s3.keepLast']) || 30;
         }
         
+        // Уведомления администратора (если поля есть в форме)
+        if (req.body['_notificationSettings']) {
+            const events = (channel) => [].concat(req.body[`notifications.${channel}.events`] || [])
+                .filter(event => Settings.NOTIFICATION_EVENTS.includes(event));
+            
+            updates['notifications.lang'] = req.body['notifications.lang'] === 'en' ? 'en' : 'ru';
+            updates['notifications.dedupMinutes'] = Math.max(0, parseInt(req.body['notifications.dedupMinutes']) || 0);
+            updates['notifications.maxPerHour'] = Math.max(1, parseInt(req.body['notifications.maxPerHour']) || 20);
+            // Telegram
+            updates['notifications.telegram.enabled'] = req.body['notifications.telegram.enabled'] === 'on';
+            updates['notifications.telegram.chatId'] = (req.body['notifications.telegram.chatId'] || '').trim();
+            updates['notifications.telegram.events'] = events('telegram');
+            // Токен бота: только обновляем если введён новый
+            if (req.body['notifications.telegram.botToken']) {
+                updates['notifications.telegram.botToken'] = req.body['notifications.telegram.botToken'].trim();
+            }
+            // Email
+            updates['notifications.email.enabled'] = req.body['notifications.email.enabled'] === 'on';
+            updates['notifications.email.host'] = (req.body['notifications.email.host'] || '').trim();
+            updates['notifications.email.port'] = parseInt(req.body['notifications.email.port']) || 587;
+            updates['notifications.email.secure'] = req.body['notifications.email.secure'] === 'on';
+            updates['notifications.email.user'] = (req.body['notifications.email.user'] || '').trim();
+            updates['notifications.email.from'] = (req.body['notifications.email.from'] || '').trim();
+            updates['notifications.email.to'] = (req.body['notifications.email.to'] || '').trim();
+            updates['notifications.email.events'] = events('email');
+            // Пароль SMTP: только обновляем если введён новый
+            if (req.body['notifications.email.pass']) {
+                updates['notifications.email.pass'] = req.body['notifications.email.pass'];
+            }
+            // HTTP
+            updates['notifications.http.enabled'] = req.body['notifications.http.enabled'] === 'on';
+            updates['notifications.http.url'] = (req.body['notifications.http.url'] || '').trim();
+            updates['notifications.http.events'] = events('http');
+        }
+        
+        // Предупреждения пользователям о сроке и трафике (если поля есть в форме)
+        if (req.body['_userWarningSettings']) {
+            const thresholds = (field, max) => [...new Set(String(req.body[field] || '').split(',')
+                .map(value => parseInt(value))
+                .filter(value => value > 0 && value <= max))]
+                .sort((a, b) => a - b);
+            
+            updates['userWarnings.enabled'] = req.body['userWarnings.enabled'] === 'on';
+            updates['userWarnings.lang'] = req.body['userWarnings.lang'] === 'en' ? 'en' : 'ru';
+            updates['userWarnings.expiryDays'] = thresholds('userWarnings.expiryDays', 365);
+            updates['userWarnings.trafficPercents'] = thresholds('userWarnings.trafficPercents', 100);
+            updates['userWarnings.telegram'] = req.body['userWarnings.telegram'] === 'on';
+            updates['userWarnings.email'] = req.body['userWarnings.email'] === 'on';
+        }
+        
+        if (req.body['_trashSettings']) {
+            updates['trash.retentionDays'] = Math.max(1, parseInt(req.body['trash.retentionDays']) || 30);
+        }
+        
+        const previous = await getSettings();
         await Settings.update(updates);
         
+        // Подписки в кэше могли быть выданы по userId
+        if (updates['subscription.allowUserIdToken'] === false && previous?.subscription?.allowUserIdToken !== false) {
+            await cache.invalidateAllSubscriptions();
+        }
+        
         // Invalidate settings cache and reload
         await invalidateSettingsCache();
         await reloadSettings();
@@ -1435,7 +1837,9 @@ router.get('/stats/api/nodes', requireAuth, async (req, res) => {
 router.post('/stats/cleanup', requireAuth, async (req, res) => {
     try {
         const result = await statsService.cleanup();
-        res.json({ success: true, ...result });
+        const userTraffic = await userTrafficService.cleanup();
+        const sessions = await sessionService.cleanup();
+        res.json({ success: true, ...result, userTraffic, sessions });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -1472,6 +1876,22 @@ router.post('/settings/create-backup', requireAuth, async (req, res) => {
     }
 });
 
+// POST /panel/settings/test-notification - Тестовое уведомление в канал (сохранённые настройки)
+router.post('/settings/test-notification', requireAuth, async (req, res) => {
+    try {
+        const notificationService = require('../services/notificationService');
+        const result = await notificationService.test(req.body.channel);
+        
+        if (result.success) {
+            res.json({ success: true });
+        } else {
+            res.status(400).json({ error: result.error });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // POST /panel/settings/test-s3 - Проверить подключение к S3
 router.post('/settings/test-s3', requireAuth, async (req, res) => {
     try {
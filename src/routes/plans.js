@@ -0,0 +1,145 @@
+/**
+ * API для управления тарифами (планами)
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Plan = require('../models/planModel');
+const HyUser = require('../models/hyUserModel');
+const planService = require('../services/planService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /plans - Список тарифов с количеством пользователей
+ */
+router.get('/', async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+        
+        const plans = await Plan.find(filter).sort({ name: 1 }).populate('groups', 'name color').lean();
+        
+        const counts = await HyUser.aggregate([
+            { $match: { plan: { $ne: null } } },
+            { $group: { _id: '$plan', count: { $sum: 1 } } },
+        ]);
+        const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+        
+        res.json(plans.map(plan => ({ ...plan, usersCount: countMap.get(plan._id.toString()) || 0 })));
+    } catch (error) {
+        logger.error(`[Plans API] List error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /plans/:id - Получить тариф
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const plan = await planService.getPlan(req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Тариф не найден' });
+        }
+        
+        await plan.populate('groups', 'name color');
+        
+        res.json(plan);
+    } catch (error) {
+        logger.error(`[Plans API] Get error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /plans - Создать тариф
+ * Body: { name, description?, trafficLimit? (байты), durationDays?, maxDevices?, groups?, trafficResetStrategy?, active? }
+ */
+router.post('/', async (req, res) => {
+    try {
+        let data;
+        try {
+            data = planService.normalizeInput(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        
+        if (await Plan.exists({ name: data.name })) {
+            return res.status(409).json({ error: 'Тариф с таким именем уже существует' });
+        }
+        
+        const plan = await Plan.create(data);
+        
+        logger.info(`[Plans API] Created plan "${plan.name}"`);
+        
+        res.status(201).json(plan);
+    } catch (error) {
+        logger.error(`[Plans API] Create error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /plans/:id - Обновить тариф
+ * Body: поля тарифа + cascade? (true = применить лимиты ко всем пользователям тарифа)
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        let data;
+        try {
+            data = planService.normalizeInput(req.body, true);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Тариф не найден' });
+        }
+        
+        if (data.name && await Plan.exists({ name: data.name, _id: { $ne: req.params.id } })) {
+            return res.status(409).json({ error: 'Тариф с таким именем уже существует' });
+        }
+        
+        const plan = await Plan.findByIdAndUpdate(req.params.id, { $set: data }, { new: true });
+        if (!plan) {
+            return res.status(404).json({ error: 'Тариф не найден' });
+        }
+        
+        let updatedUsers = 0;
+        if (req.body.cascade === true || req.body.cascade === 'true') {
+            updatedUsers = await planService.cascade(plan);
+        }
+        
+        logger.info(`[Plans API] Updated plan "${plan.name}"${updatedUsers ? `, applied to ${updatedUsers} users` : ''}`);
+        
+        res.json({ plan, updatedUsers });
+    } catch (error) {
+        logger.error(`[Plans API] Update error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /plans/:id - Удалить тариф
+ * Пользователи сохраняют текущие лимиты, но отвязываются от тарифа
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Тариф не найден' });
+        }
+        
+        const plan = await planService.deletePlan(req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Тариф не найден' });
+        }
+        
+        res.json({ success: true, message: 'Тариф удалён' });
+    } catch (error) {
+        logger.error(`[Plans API] Delete error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
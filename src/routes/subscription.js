@@ -11,10 +11,13 @@
 const express = require('express');
 const router = express.Router();
 const HyUser = require('../models/hyUserModel');
-const HyNode = require('../models/hyNodeModel');
 const cache = require('../services/cacheService');
+const deviceService = require('../services/deviceService');
+const migrationService = require('../services/migrationService');
+const subscriptionTokenService = require('../services/subscriptionTokenService');
+const userWarningService = require('../services/userWarningService');
 const logger = require('../utils/logger');
-const { getNodesByGroups, getSettings } = require('../utils/helpers');
+const { getNodesByGroups, getSettings, getActiveNodesWithCache, isNodeAllowedForUser, getEffectiveMaxDevices } = require('../utils/helpers');
 
 // ==================== HELPERS ====================
 
@@ -34,20 +37,94 @@ function isBrowser(req) {
     return accept.includes('text/html') && /mozilla|chrome|safari|edge|opera/.test(ua);
 }
 
+/**
+ * Лимит устройств, который проверяется при выдаче подписки (0 — не проверяется)
+ * В режиме "hwid" auth не считает IP, лимит держится только здесь
+ */
+async function getHwidLimit(maxDevices) {
+    const settings = await getSettings();
+    return settings?.deviceLimitMode === 'hwid' && maxDevices > 0 ? maxDevices : 0;
+}
+
+/**
+ * Регистрирует устройство клиента по заголовку x-hwid
+ * В режиме лимита "hwid" новое устройство сверх лимита не получает подписку,
+ * клиент без x-hwid — тоже (иначе лимит обходится пропуском заголовка)
+ */
+async function checkDevice(req, userId, maxDevices) {
+    if (!userId) return { allowed: true };
+    
+    const enforceLimit = await getHwidLimit(maxDevices);
+    const info = deviceService.getDeviceInfo(req);
+    if (!info) {
+        return enforceLimit > 0 ? { allowed: false, reason: 'no_hwid' } : { allowed: true };
+    }
+    
+    // Ошибки реестра устройств решаются политикой отказа auth
+    return deviceService.registerDevice(userId, info, enforceLimit, await getSettings());
+}
+
+const DEVICE_REJECT_MESSAGES = {
+    revoked: 'Device revoked',
+    limit: 'Device limit exceeded',
+    no_hwid: 'Device ID required',
+    error: 'Device check unavailable, try again later',
+};
+
+function sendDeviceRejected(res, userId, reason) {
+    logger.warn(`[Sub] Device rejected for ${userId}: ${reason}`);
+    return res.status(reason === 'error' ? 503 : 403).type('text/plain').send(`# ${DEVICE_REJECT_MESSAGES[reason] || DEVICE_REJECT_MESSAGES.limit}`);
+}
+
 async function getUserByToken(token) {
+    const settings = await getSettings();
+    
     // Один запрос вместо двух (оптимизация)
-    const user = await HyUser.findOne({
-        $or: [
-            { subscriptionToken: token },
-            { userId: token }
-        ]
-    })
+    const lookups = [
+        { subscriptionToken: token },
+        { 'credentials.token': token },
+        { 'revokedTokens.token': token },
+    ];
+    // userId как токен угадывается, можно отключить в настройках
+    if (settings?.subscription?.allowUserIdToken !== false) {
+        lookups.push({ userId: token });
+    }
+    
+    const user = await HyUser.findOne({ $or: lookups })
         .populate('nodes', 'active name status onlineUsers maxOnlineUsers rankingCoefficient domain sni ip port portRange portConfigs flag')
-        .populate('groups', '_id name subscriptionTitle');
+        .populate('groups', '_id name subscriptionTitle maxDevices');
     
     return user;
 }
 
+/**
+ * Токен из ссылки → { token, state }
+ * Старые ссылки Marzban (подписанные токены) заменяются на токен перенесённого пользователя
+ */
+async function resolveToken(token) {
+    return (await migrationService.resolveLegacyToken(token)) || { token, state: null };
+}
+
+function sendLinkChanged(res, token) {
+    logger.warn(`[Sub] Revoked token used: ${token}`);
+    return res.status(410).type('text/plain').send('# Subscription link changed, get the new link from your provider');
+}
+
+/**
+ * App password, если подписка открыта по его токену
+ */
+function getCredentialByToken(user, token) {
+    return (user.credentials || []).find(c => c.token === token) || null;
+}
+
+/**
+ * Строка авторизации Hysteria (userId:password)
+ * Для подписки по токену app password — пароль этого credential
+ */
+function getAuthString(user, credential = null) {
+    return `${user.userId}:${credential ? credential.password : user.password}`;
+}
+
 /**
  * Получить название подписки для пользователя
  * Берётся subscriptionTitle первой группы или name группы
@@ -69,18 +146,6 @@ function encodeTitle(text) {
     return `base64:${Buffer.from(text).toString('base64')}`;
 }
 
-/**
- * Получить активные ноды (с кэшированием)
- */
-async function getActiveNodesWithCache() {
-    const cached = await cache.getActiveNodes();
-    if (cached) return cached;
-    
-    const nodes = await HyNode.find({ active: true }).lean();
-    await cache.setActiveNodes(nodes);
-    return nodes;
-}
-
 async function getActiveNodes(user) {
     let nodes = [];
     let settings;
@@ -100,11 +165,7 @@ async function getActiveNodes(user) {
         settings = loadedSettings;
         
         // Filter by user groups
-        const userGroupIds = (user.groups || []).map(g => g._id?.toString() || g.toString());
-        nodes = allNodes.filter(n => {
-            const nodeGroupIds = (n.groups || []).map(g => g._id?.toString() || g.toString());
-            return nodeGroupIds.some(gId => userGroupIds.includes(gId));
-        });
+        nodes = allNodes.filter(n => isNodeAllowedForUser(user, n));
         
         logger.debug(`[Sub] User ${user.userId}: ${nodes.length} nodes by groups`);
     }
@@ -151,14 +212,18 @@ async function getActiveNodes(user) {
     return nodes;
 }
 
-function validateUser(user) {
+function validateUser(user, credential = null) {
     if (!user) return { valid: false, error: 'Not found' };
     if (!user.enabled) return { valid: false, error: 'Inactive' };
-    if (user.expireAt && new Date(user.expireAt) < new Date()) return { valid: false, error: 'Expired' };
-    if (user.trafficLimit > 0) {
+    // On hold: expiry hasn't started, starts on first connection
+    if (!HyUser.isOnHold(user) && user.expireAt && new Date(user.expireAt) < new Date()) return { valid: false, error: 'Expired' };
+    const trafficLimit = HyUser.getTrafficLimit(user);
+    if (trafficLimit > 0) {
         const used = (user.traffic?.tx || 0) + (user.traffic?.rx || 0);
-        if (used >= user.trafficLimit) return { valid: false, error: 'Traffic exceeded' };
+        if (used >= trafficLimit) return { valid: false, error: 'Traffic exceeded' };
     }
+    if (credential && credential.revoked) return { valid: false, error: 'Credential revoked' };
+    if (credential && !HyUser.isCredentialActive(credential)) return { valid: false, error: 'Credential expired' };
     return { valid: true };
 }
 
@@ -196,9 +261,9 @@ function getNodeConfigs(node) {
 
 // ==================== URI GENERATION ====================
 
-function generateURI(user, node, config) {
+function generateURI(user, node, config, credential = null) {
     // Auth содержит userId для идентификации на сервере
-    const auth = `${user.userId}:${user.password}`;
+    const auth = getAuthString(user, credential);
     const params = [];
     
     // SNI for TLS handshake (can be custom domain for masquerading)
@@ -215,18 +280,18 @@ function generateURI(user, node, config) {
 
 // ==================== FORMAT GENERATORS ====================
 
-function generateURIList(user, nodes) {
+function generateURIList(user, nodes, credential = null) {
     const uris = [];
     nodes.forEach(node => {
         getNodeConfigs(node).forEach(cfg => {
-            uris.push(generateURI(user, node, cfg));
+            uris.push(generateURI(user, node, cfg, credential));
         });
     });
     return uris.join('\n');
 }
 
-function generateClashYAML(user, nodes) {
-    const auth = `${user.userId}:${user.password}`;
+function generateClashYAML(user, nodes, credential = null) {
+    const auth = getAuthString(user, credential);
     const proxies = [];
     const proxyNames = [];
     
@@ -254,8 +319,8 @@ function generateClashYAML(user, nodes) {
     return `proxies:\n${proxies.join('\n')}\n\nproxy-groups:\n  - name: "Proxy"\n    type: select\n    proxies:\n${proxyNames.map(n => `      - "${n}"`).join('\n')}\n`;
 }
 
-function generateSingboxJSON(user, nodes) {
-    const auth = `${user.userId}:${user.password}`;
+function generateSingboxJSON(user, nodes, credential = null) {
+    const auth = getAuthString(user, credential);
     const outbounds = [];
     const tags = [];
     
@@ -299,7 +364,14 @@ function generateSingboxJSON(user, nodes) {
 
 // ==================== HTML PAGE ====================
 
-function generateHTML(user, nodes, token, baseUrl) {
+function escapeHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * showConfigs: false — без ссылок на отдельные серверы (режим "hwid": подключение только через приложение)
+ */
+function generateHTML(user, nodes, token, baseUrl, credential = null, warnings = [], showConfigs = true) {
     // Собираем все конфиги
     const allConfigs = [];
     nodes.forEach(node => {
@@ -308,14 +380,17 @@ function generateHTML(user, nodes, token, baseUrl) {
                 location: node.name,
                 flag: node.flag || '🌐',
                 name: cfg.name,
-                uri: generateURI(user, node, cfg),
+                uri: showConfigs ? generateURI(user, node, cfg, credential) : '',
             });
         });
     });
     
     const trafficUsed = ((user.traffic?.tx || 0) + (user.traffic?.rx || 0)) / (1024 * 1024 * 1024);
-    const trafficLimit = user.trafficLimit ? user.trafficLimit / (1024 * 1024 * 1024) : 0;
-    const expireDate = user.expireAt ? new Date(user.expireAt).toLocaleDateString('ru-RU') : 'Бессрочно';
+    const trafficLimit = HyUser.getTrafficLimit(user) / (1024 * 1024 * 1024);
+    let expireDate = user.expireAt ? new Date(user.expireAt).toLocaleDateString('ru-RU') : 'Бессрочно';
+    if (HyUser.isOnHold(user)) {
+        expireDate = `${user.onHold.durationDays} дн. с первого подключения`;
+    }
     
     // Группируем по локациям
     const locations = {};
@@ -325,7 +400,7 @@ function generateHTML(user, nodes, token, baseUrl) {
         }
         locations[cfg.location].configs.push({ name: cfg.name, uri: cfg.uri });
     });
-
+    
     return `<!DOCTYPE html>
 <html lang="ru">
 <head>
@@ -365,6 +440,7 @@ function generateHTML(user, nodes, token, baseUrl) {
         .sub-box input { flex: 1; padding: 10px; background: var(--bg); border: 1px solid var(--border); border-radius: 8px; color: var(--text); font-size: 12px; }
         .toast { position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%) translateY(100px); background: var(--success); color: #fff; padding: 10px 20px; border-radius: 8px; font-size: 14px; transition: transform 0.3s; }
         .toast.show { transform: translateX(-50%) translateY(0); }
+        .warning { background: #3b2a0a; border: 1px solid #a16207; color: #fde68a; border-radius: 12px; padding: 12px 16px; margin-bottom: 12px; font-size: 14px; white-space: pre-line; }
     </style>
 </head>
 <body>
@@ -374,6 +450,8 @@ function generateHTML(user, nodes, token, baseUrl) {
             <p>Ваша персональная конфигурация</p>
         </div>
         
+        ${warnings.map(text => `<div class="warning">${escapeHtml(text)}</div>`).join('')}
+        
         <div class="stats">
             <div class="stat">
                 <div class="stat-value">${trafficUsed.toFixed(1)} ГБ</div>
@@ -410,7 +488,7 @@ function generateHTML(user, nodes, token, baseUrl) {
                     ${loc.configs.map((cfg, i) => `
                     <div class="config">
                         <span class="config-name">${cfg.name}</span>
-                        <button class="copy-btn" onclick="copyUri(${Object.entries(locations).indexOf([name, loc])}_${i}, this)">Копировать</button>
+                        ${showConfigs ? `<button class="copy-btn" onclick="copyUri(${Object.entries(locations).indexOf([name, loc])}_${i}, this)">Копировать</button>` : ''}
                     </div>
                     `).join('')}
                 </div>
@@ -487,7 +565,12 @@ function generateHTML(user, nodes, token, baseUrl) {
  */
 router.get('/files/:token', async (req, res) => {
     try {
-        const token = req.params.token;
+        const resolved = await resolveToken(req.params.token);
+        const token = resolved.token;
+        if (resolved.state === 'changed') {
+            return sendLinkChanged(res, req.params.token);
+        }
+        
         const userAgent = req.headers['user-agent'] || 'unknown';
         
         // Определяем формат
@@ -504,7 +587,13 @@ router.get('/files/:token', async (req, res) => {
                 return res.status(404).type('text/plain').send('# User not found');
             }
             
-            const validation = validateUser(user);
+            const tokenState = subscriptionTokenService.getTokenState(user, token);
+            if (tokenState === 'changed') {
+                return sendLinkChanged(res, token);
+            }
+            
+            const credential = getCredentialByToken(user, token);
+            const validation = validateUser(user, credential);
             if (!validation.valid) {
                 logger.warn(`[Sub] User ${user.userId} invalid: ${validation.error}`);
                 return res.status(403).type('text/plain').send(`# ${validation.error}`);
@@ -515,8 +604,13 @@ router.get('/files/:token', async (req, res) => {
                 return res.status(503).type('text/plain').send('# No servers available');
             }
             
-            const baseUrl = `${req.protocol}://${req.get('host')}/api/files/${token}`;
-            return res.type('text/html').send(generateHTML(user, nodes, token, baseUrl));
+            // По старой ссылке в grace period показываем уже новую
+            const pageToken = tokenState === 'grace' ? user.subscriptionToken : token;
+            const baseUrl = `${req.protocol}://${req.get('host')}/api/files/${pageToken}`;
+            const warnings = userWarningService.getBanner(user, await getSettings());
+            // Ссылки на серверы обходили бы регистрацию устройства
+            const showConfigs = await getHwidLimit(getEffectiveMaxDevices(user)) === 0;
+            return res.type('text/html').send(generateHTML(user, nodes, pageToken, baseUrl, credential, warnings, showConfigs));
         }
         
         // Для приложений — определяем формат и кэшируем
@@ -528,6 +622,12 @@ router.get('/files/:token', async (req, res) => {
         const cached = await cache.getSubscription(token, format);
         if (cached) {
             logger.debug(`[Sub] Cache HIT: ${token}:${format}`);
+            
+            const device = await checkDevice(req, cached.userId, cached.maxDevices);
+            if (!device.allowed) {
+                return sendDeviceRejected(res, cached.userId, device.reason);
+            }
+            
             return sendCachedSubscription(res, cached, format, userAgent);
         }
         
@@ -541,13 +641,24 @@ router.get('/files/:token', async (req, res) => {
             return res.status(404).type('text/plain').send('# User not found');
         }
         
-        const validation = validateUser(user);
+        const tokenState = subscriptionTokenService.getTokenState(user, token);
+        if (tokenState === 'changed') {
+            return sendLinkChanged(res, token);
+        }
+        
+        const credential = getCredentialByToken(user, token);
+        const validation = validateUser(user, credential);
         
         if (!validation.valid) {
             logger.warn(`[Sub] User ${user.userId} invalid: ${validation.error}`);
             return res.status(403).type('text/plain').send(`# ${validation.error}`);
         }
         
+        const device = await checkDevice(req, user.userId, getEffectiveMaxDevices(user));
+        if (!device.allowed) {
+            return sendDeviceRejected(res, user.userId, device.reason);
+        }
+        
         const nodes = await getActiveNodes(user);
         if (nodes.length === 0) {
             logger.error(`[Sub] NO SERVERS for user ${user.userId}! Check nodes in panel.`);
@@ -557,10 +668,12 @@ router.get('/files/:token', async (req, res) => {
         logger.debug(`[Sub] Serving ${nodes.length} nodes to user ${user.userId}`);
         
         // Генерируем подписку
-        const subscriptionData = generateSubscriptionData(user, nodes, format, userAgent);
+        const subscriptionData = generateSubscriptionData(user, nodes, format, userAgent, credential);
         
-        // Сохраняем в кэш
-        await cache.setSubscription(token, format, subscriptionData);
+        // Сохраняем в кэш (старый токен не кэшируем, чтобы он перестал работать вовремя)
+        if (tokenState !== 'grace') {
+            await cache.setSubscription(token, format, subscriptionData);
+        }
         
         // Отправляем
         return sendCachedSubscription(res, subscriptionData, format, userAgent);
@@ -574,27 +687,27 @@ router.get('/files/:token', async (req, res) => {
 /**
  * Генерирует данные подписки для кэширования
  */
-function generateSubscriptionData(user, nodes, format, userAgent) {
+function generateSubscriptionData(user, nodes, format, userAgent, credential = null) {
     let content;
     let needsBase64 = false;
     
     switch (format) {
         case 'shadowrocket':
-            content = generateURIList(user, nodes);
+            content = generateURIList(user, nodes, credential);
             needsBase64 = true;
             break;
         case 'clash':
         case 'yaml':
-            content = generateClashYAML(user, nodes);
+            content = generateClashYAML(user, nodes, credential);
             break;
         case 'singbox':
         case 'json':
-            content = JSON.stringify(generateSingboxJSON(user, nodes), null, 2);
+            content = JSON.stringify(generateSingboxJSON(user, nodes, credential), null, 2);
             break;
         case 'uri':
         case 'raw':
         default:
-            content = generateURIList(user, nodes);
+            content = generateURIList(user, nodes, credential);
             if (/quantumult/i.test(userAgent)) {
                 needsBase64 = true;
             }
@@ -607,13 +720,15 @@ function generateSubscriptionData(user, nodes, format, userAgent) {
     
     return {
         content,
+        userId: user.userId,
+        maxDevices: getEffectiveMaxDevices(user),
         profileTitle: getSubscriptionTitle(user),
         username: user.username || user.userId,
         traffic: {
             tx: user.traffic?.tx || 0,
             rx: user.traffic?.rx || 0,
         },
-        trafficLimit: user.trafficLimit || 0,
+        trafficLimit: HyUser.getTrafficLimit(user),
         expireAt: user.expireAt,
     };
 }
@@ -655,16 +770,23 @@ function sendCachedSubscription(res, data, format, userAgent) {
 
 router.get('/info/:token', async (req, res) => {
     try {
-        const user = await getUserByToken(req.params.token);
+        const resolved = await resolveToken(req.params.token);
+        if (resolved.state === 'changed') return res.status(410).json({ error: 'Link changed' });
+        
+        const user = await getUserByToken(resolved.token);
         if (!user) return res.status(404).json({ error: 'Not found' });
+        if (subscriptionTokenService.getTokenState(user, resolved.token) === 'changed') {
+            return res.status(410).json({ error: 'Link changed' });
+        }
         
         const nodes = await getActiveNodes(user);
         
         res.json({
             enabled: user.enabled,
             groups: user.groups,
-            traffic: { used: (user.traffic?.tx || 0) + (user.traffic?.rx || 0), limit: user.trafficLimit },
+            traffic: { used: (user.traffic?.tx || 0) + (user.traffic?.rx || 0), limit: HyUser.getTrafficLimit(user) },
             expire: user.expireAt,
+            onHold: HyUser.isOnHold(user) ? { durationDays: user.onHold.durationDays } : null,
             servers: nodes.length,
         });
     } catch (error) {
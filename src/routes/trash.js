@@ -0,0 +1,64 @@
+/**
+ * API корзины: удалённые пользователи, ноды и группы
+ */
+
+const express = require('express');
+const router = express.Router();
+const trashService = require('../services/trashService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /trash - Содержимое корзины (без самих документов)
+ * Query: type? (user | node | group)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const [entries, retentionDays] = await Promise.all([
+            trashService.list({ type: req.query.type }),
+            trashService.getRetentionDays(),
+        ]);
+        
+        res.json({ retentionDays, entries });
+    } catch (error) {
+        logger.error(`[Trash API] List error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /trash/:id/restore - Восстановить (тот же _id, трафик, группы, токен подписки)
+ */
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const result = await trashService.restore(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Запись не найдена' });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        if (error instanceof trashService.TrashError) {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error(`[Trash API] Restore error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /trash/:id - Удалить навсегда (вместе с историей пользователя / трафиком ноды)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!await trashService.purge(req.params.id)) {
+            return res.status(404).json({ error: 'Запись не найдена' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`[Trash API] Purge error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
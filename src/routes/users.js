@@ -3,39 +3,105 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
+const mongoose = require('mongoose');
+const config = require('../../config');
 const HyUser = require('../models/hyUserModel');
 const HyNode = require('../models/hyNodeModel');
 const ServerGroup = require('../models/serverGroupModel');
 const cryptoService = require('../services/cryptoService');
 const cache = require('../services/cacheService');
+const authLogService = require('../services/authLogService');
+const deviceService = require('../services/deviceService');
+const accessRuleService = require('../services/accessRuleService');
+const planService = require('../services/planService');
+const trafficResetService = require('../services/trafficResetService');
+const userTrafficService = require('../services/userTrafficService');
+const sessionService = require('../services/sessionService');
+const userBulkService = require('../services/userBulkService');
+const userSyncService = require('../services/userSyncService');
+const webhookService = require('../services/webhookService');
+const trashService = require('../services/trashService');
+const userTransferService = require('../services/userTransferService');
+const subscriptionTokenService = require('../services/subscriptionTokenService');
+const migrationService = require('../services/migrationService');
+const Plan = require('../models/planModel');
+const AuthLog = require('../models/authLogModel');
+const UserTraffic = require('../models/userTrafficModel');
 const logger = require('../utils/logger');
-const { getNodesByGroups } = require('../utils/helpers');
+const { getNodesByGroups, invalidateUserCache, getTagStats } = require('../utils/helpers');
+
+// Файл импорта пользователей (в памяти)
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 }, // 20MB max
+});
+
+// База другой панели (SQLite читается целиком в память)
+const migrationUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 100 * 1024 * 1024 }, // 100MB max
+});
+
+/**
+ * Поля периодического сброса трафика из body
+ * @throws {Error} при неверной стратегии или дате
+ */
+function parseTrafficReset(body) {
+    const fields = {};
+    
+    if (body.trafficResetStrategy !== undefined) {
+        if (!Plan.TRAFFIC_RESET_STRATEGIES.includes(body.trafficResetStrategy)) {
+            throw new Error(`trafficResetStrategy должен быть одним из: ${Plan.TRAFFIC_RESET_STRATEGIES.join(', ')}`);
+        }
+        fields.trafficResetStrategy = body.trafficResetStrategy;
+    }
+    
+    if (body.trafficResetAnchor !== undefined) {
+        const anchor = body.trafficResetAnchor ? new Date(body.trafficResetAnchor) : null;
+        if (anchor && isNaN(anchor)) {
+            throw new Error('Неверный формат даты trafficResetAnchor');
+        }
+        fields.trafficResetAnchor = anchor;
+    }
+    
+    // Расписание пересчитает cron-задача сброса
+    if (Object.keys(fields).length > 0) {
+        fields.nextTrafficReset = null;
+    }
+    
+    return fields;
+}
 
 /**
- * Инвалидация кэша пользователя
+ * Срок с первого подключения из body (onHoldDays, 0 - обычный срок)
+ * @returns {number|undefined} undefined если поле не передано
+ * @throws {Error} при неверном значении
  */
-async function invalidateUserCache(userId, subscriptionToken) {
-    await cache.invalidateUser(userId);
-    if (subscriptionToken) {
-        await cache.invalidateSubscription(subscriptionToken);
+function parseOnHoldDays(body) {
+    if (body.onHoldDays === undefined) return undefined;
+    
+    const days = Number(body.onHoldDays || 0);
+    if (!Number.isInteger(days) || days < 0) {
+        throw new Error('onHoldDays должен быть целым числом >= 0');
     }
-    // Очищаем устройства пользователя
-    await cache.clearDeviceIPs(userId);
-    // Инвалидируем счётчики дашборда
-    await cache.invalidateDashboardCounts();
+    return days;
 }
 
 /**
  * GET /users - Список всех пользователей
+ * Query: enabled?, group?, tag? (через запятую - все теги сразу), onHold?, page?, limit?, sortBy?, sortOrder?
  */
 router.get('/', async (req, res) => {
     try {
-        const { enabled, group, page = 1, limit = 50, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+        const { enabled, group, tag, onHold, page = 1, limit = 50, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
         
         const filter = {};
         if (enabled !== undefined) filter.enabled = enabled === 'true';
         if (group) filter.groups = group;
+        if (tag) filter.tags = { $all: HyUser.normalizeTags(tag) };
+        if (onHold !== undefined) filter['onHold.durationDays'] = onHold === 'true' ? { $gt: 0 } : { $in: [0, null] };
         
         // Определяем поле для сортировки
         let sortField = {};
@@ -119,6 +185,103 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /users/tags - Теги со статистикой (пользователи, активные, трафик)
+ */
+router.get('/tags', async (req, res) => {
+    try {
+        const tags = await getTagStats(parseInt(req.query.limit) || 0);
+        res.json(tags);
+    } catch (error) {
+        logger.error(`[Users API] Tags error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/export - Экспорт пользователей
+ * Query: format? (csv | json), enabled?, group?, plan?
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const content = await userTransferService.exportUsers(format, req.query);
+        
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="users-${date}.${format}"`);
+        res.send(content);
+    } catch (error) {
+        logger.error(`[Users API] Export error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /users/import - Импорт пользователей
+ * Файл (multipart, поле file), CSV/JSON в теле (text/csv) или JSON { users: [...] }
+ * Query/body: dryRun? (true = только проверка), mode? (create - пропускать существующих | upsert - обновлять)
+ */
+router.post('/import', importUpload.single('file'), express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), async (req, res) => {
+    try {
+        const options = { ...req.query, ...(typeof req.body === 'object' ? req.body : {}) };
+        
+        let content;
+        if (req.file) {
+            content = req.file.buffer.toString('utf8');
+        } else if (typeof req.body === 'string') {
+            content = req.body;
+        } else {
+            content = req.body.users;
+        }
+        
+        const format = options.format || (req.file?.originalname?.endsWith('.json') ? 'json' : undefined);
+        
+        const records = userTransferService.parseRecords(content, format);
+        const report = await userTransferService.importUsers(records, {
+            dryRun: options.dryRun === true || options.dryRun === 'true',
+            mode: options.mode || 'create',
+        });
+        
+        res.json(report);
+    } catch (error) {
+        if (error instanceof userTransferService.TransferError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error(`[Users API] Import error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /users/migrate - Перенос пользователей из другой панели
+ * Файл (multipart, поле file): Marzban db.sqlite3 / MySQL дамп, 3x-ui x-ui.db, бэкап Hiddify-Manager (JSON)
+ * Query/body: source? (marzban | 3x-ui | hiddify, по умолчанию определяется по файлу), dryRun?, mode?
+ */
+router.post('/migrate', migrationUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Файл не загружен' });
+        }
+        
+        const options = { ...req.query, ...req.body };
+        
+        const report = await migrationService.importPanel(req.file.buffer, {
+            source: options.source || undefined,
+            dryRun: options.dryRun === true || options.dryRun === 'true',
+            mode: options.mode || 'create',
+        });
+        
+        res.json(report);
+    } catch (error) {
+        if (error instanceof userTransferService.TransferError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error(`[Users API] Migrate error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /users/:userId - Получить пользователя
  */
@@ -126,7 +289,8 @@ router.get('/:userId', async (req, res) => {
     try {
         const user = await HyUser.findOne({ userId: req.params.userId })
             .populate('nodes', 'name ip domain port portRange')
-            .populate('groups', 'name color');
+            .populate('groups', 'name color')
+            .populate('plan', 'name');
         
         if (!user) {
             return res.status(404).json({ error: 'Пользователь не найден' });
@@ -139,18 +303,422 @@ router.get('/:userId', async (req, res) => {
     }
 });
 
+/**
+ * GET /users/:userId/auth-log - Журнал авторизаций пользователя
+ * Query: ok?, reason?, node?, from?, to?, page?, limit?
+ */
+router.get('/:userId/auth-log', async (req, res) => {
+    try {
+        const { ok, reason, node, from, to, page, limit } = req.query;
+        
+        if (reason && !AuthLog.REASONS.includes(reason)) {
+            return res.status(400).json({ error: `reason должен быть одним из: ${AuthLog.REASONS.join(', ')}` });
+        }
+        
+        if (node && !mongoose.Types.ObjectId.isValid(node)) {
+            return res.status(400).json({ error: 'Неверный node' });
+        }
+        
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json({ error: 'Неверный формат даты from/to' });
+        }
+        
+        const result = await authLogService.getUserLog(req.params.userId, {
+            ok: ok !== undefined ? ok === 'true' : undefined,
+            reason,
+            nodeId: node,
+            from: fromDate,
+            to: toDate,
+            page,
+            limit,
+        });
+        
+        res.json(result);
+    } catch (error) {
+        logger.error(`[Users API] Auth log error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/traffic-history - Трафик за прошедшие периоды (до каждого сброса)
+ */
+router.get('/:userId/traffic-history', async (req, res) => {
+    try {
+        const history = await trafficResetService.getHistory(req.params.userId, req.query.limit);
+        res.json(history);
+    } catch (error) {
+        logger.error(`[Users API] Traffic history error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/traffic - Использование трафика по дням/часам (для графика)
+ * Query: from?, to?, granularity? (daily | hourly, по умолчанию daily)
+ */
+router.get('/:userId/traffic', async (req, res) => {
+    try {
+        const { from, to, granularity = 'daily' } = req.query;
+        
+        if (!UserTraffic.GRANULARITIES.includes(granularity)) {
+            return res.status(400).json({ error: `granularity должен быть одним из: ${UserTraffic.GRANULARITIES.join(', ')}` });
+        }
+        
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json({ error: 'Неверный формат даты from/to' });
+        }
+        
+        if (fromDate && fromDate > (toDate || new Date())) {
+            return res.status(400).json({ error: 'from должен быть раньше to' });
+        }
+        
+        const bucketMs = granularity === 'hourly' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+        const maxPoints = userTrafficService.getMaxPoints(granularity);
+        if (fromDate && ((toDate || new Date()) - fromDate) / bucketMs > maxPoints) {
+            return res.status(400).json({ error: `Слишком большой диапазон (максимум ${maxPoints} точек)` });
+        }
+        
+        if (!await HyUser.exists({ userId: req.params.userId })) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        
+        const result = await userTrafficService.getUserTraffic(req.params.userId, {
+            from: fromDate,
+            to: toDate,
+            granularity,
+        });
+        
+        res.json(result);
+    } catch (error) {
+        logger.error(`[Users API] Traffic error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/node-traffic - Трафик пользователя по нодам (за всё время)
+ */
+router.get('/:userId/node-traffic', async (req, res) => {
+    try {
+        const traffic = await userTrafficService.getUserNodeTraffic(req.params.userId);
+        res.json(traffic);
+    } catch (error) {
+        logger.error(`[Users API] Node traffic error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/sessions - История подключений (из опроса /online нод)
+ * Query: from?, to? (по началу сессии), limit? (до 500)
+ */
+router.get('/:userId/sessions', async (req, res) => {
+    try {
+        const { from, to, limit } = req.query;
+        
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json({ error: 'Неверный формат даты from/to' });
+        }
+        
+        const sessions = await sessionService.getUserSessions(req.params.userId, { from: fromDate, to: toDate, limit });
+        res.json(sessions);
+    } catch (error) {
+        logger.error(`[Users API] Sessions error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/devices - Устройства пользователя (зарегистрированные по HWID)
+ */
+router.get('/:userId/devices', async (req, res) => {
+    try {
+        const devices = await deviceService.listDevices(req.params.userId);
+        res.json(devices);
+    } catch (error) {
+        logger.error(`[Users API] Devices error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /users/:userId/devices/:deviceId/revoke - Отозвать устройство
+ * Устройство перестаёт учитываться в лимите и больше не получает подписку
+ */
+router.post('/:userId/devices/:deviceId/revoke', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.deviceId)) {
+            return res.status(400).json({ error: 'Неверный deviceId' });
+        }
+        
+        const device = await deviceService.revokeDevice(req.params.userId, req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Устройство не найдено' });
+        }
+        
+        logger.info(`[Users API] Revoked device ${device.hwid} of ${req.params.userId}`);
+        
+        res.json(device);
+    } catch (error) {
+        logger.error(`[Users API] Revoke device error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /users/:userId/devices/:deviceId - Удалить устройство (освобождает слот)
+ */
+router.delete('/:userId/devices/:deviceId', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.deviceId)) {
+            return res.status(400).json({ error: 'Неверный deviceId' });
+        }
+        
+        const device = await deviceService.deleteDevice(req.params.userId, req.params.deviceId);
+        if (!device) {
+            return res.status(404).json({ error: 'Устройство не найдено' });
+        }
+        
+        logger.info(`[Users API] Deleted device ${device.hwid} of ${req.params.userId}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`[Users API] Delete device error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/credentials - App passwords пользователя
+ */
+router.get('/:userId/credentials', async (req, res) => {
+    try {
+        const user = await HyUser.findOne({ userId: req.params.userId }).select('credentials').lean();
+        if (!user) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        
+        res.json(user.credentials || []);
+    } catch (error) {
+        logger.error(`[Users API] Credentials error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /users/:userId/credentials - Создать app password
+ * Body: { name, expiresAt? }
+ * Подписка с этим паролем: /api/files/:credential.token
+ */
+router.post('/:userId/credentials', async (req, res) => {
+    try {
+        const { name, expiresAt } = req.body;
+        
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'name обязателен' });
+        }
+        
+        const expiresDate = expiresAt ? new Date(expiresAt) : null;
+        if (expiresDate && isNaN(expiresDate)) {
+            return res.status(400).json({ error: 'Неверный формат даты expiresAt' });
+        }
+        
+        const user = await HyUser.findOne({ userId: req.params.userId });
+        if (!user) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        
+        user.credentials.push({
+            name: String(name).trim(),
+            password: cryptoService.generateCredentialSecret(),
+            token: cryptoService.generateCredentialSecret(),
+            expiresAt: expiresDate,
+        });
+        await user.save();
+        
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
+        
+        const credential = user.credentials[user.credentials.length - 1];
+        logger.info(`[Users API] Created credential "${credential.name}" for ${req.params.userId}`);
+        
+        res.status(201).json(credential);
+    } catch (error) {
+        logger.error(`[Users API] Create credential error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /users/:userId/credentials/:credentialId/revoke - Отозвать app password
+ */
+router.post('/:userId/credentials/:credentialId/revoke', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.credentialId)) {
+            return res.status(400).json({ error: 'Неверный credentialId' });
+        }
+        
+        const user = await HyUser.findOneAndUpdate(
+            { userId: req.params.userId, 'credentials._id': req.params.credentialId },
+            { $set: { 'credentials.$.revoked': true, 'credentials.$.revokedAt': new Date() } },
+            { new: true }
+        );
+        
+        if (!user) {
+            return res.status(404).json({ error: 'Credential не найден' });
+        }
+        
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
+        
+        const credential = user.credentials.id(req.params.credentialId);
+        logger.info(`[Users API] Revoked credential "${credential.name}" of ${req.params.userId}`);
+        
+        res.json(credential);
+    } catch (error) {
+        logger.error(`[Users API] Revoke credential error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/top-ups - Пакеты трафика (включая истёкшие)
+ */
+router.get('/:userId/top-ups', async (req, res) => {
+    try {
+        const user = await HyUser.findOne({ userId: req.params.userId }).select('trafficLimit topUps').lean();
+        if (!user) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        
+        const now = new Date();
+        res.json({
+            trafficLimit: user.trafficLimit || 0,
+            effectiveLimit: HyUser.getTrafficLimit(user, now),
+            topUps: (user.topUps || [])
+                .map(topUp => ({ ...topUp, active: HyUser.isTopUpActive(topUp, now) }))
+                .reverse(),
+        });
+    } catch (error) {
+        logger.error(`[Users API] Top-ups error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /users/:userId/top-ups - Выдать пакет трафика
+ * Body: { bytes? | gb?, days? (0 - бессрочно), note? }
+ * Пакет добавляется к trafficLimit, пока не истёк; безлимитным пользователям не нужен
+ */
+router.post('/:userId/top-ups', async (req, res) => {
+    try {
+        const { bytes, gb, days, note } = req.body;
+        
+        const size = gb !== undefined ? Math.round(parseFloat(gb) * 1024 * 1024 * 1024) : parseInt(bytes);
+        if (!size || size < 1) {
+            return res.status(400).json({ error: 'bytes или gb должен быть > 0' });
+        }
+        
+        const validDays = Number(days || 0);
+        if (!Number.isInteger(validDays) || validDays < 0) {
+            return res.status(400).json({ error: 'days должен быть целым числом >= 0' });
+        }
+        
+        const user = await HyUser.findOne({ userId: req.params.userId });
+        if (!user) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        if (!user.trafficLimit) {
+            return res.status(400).json({ error: 'У пользователя безлимитный трафик' });
+        }
+        
+        const expiresAt = validDays > 0 ? new Date(Date.now() + validDays * 24 * 60 * 60 * 1000) : null;
+        user.topUps.push({ bytes: size, expiresAt, note: String(note || '').trim() });
+        await user.save();
+        
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
+        
+        const topUp = user.topUps[user.topUps.length - 1];
+        logger.info(`[Users API] Top-up ${(size / (1024 * 1024 * 1024)).toFixed(2)} GB for ${req.params.userId}, expires ${expiresAt ? expiresAt.toISOString() : 'never'}`);
+        
+        res.status(201).json(topUp);
+    } catch (error) {
+        logger.error(`[Users API] Create top-up error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /users/:userId/top-ups/:topUpId - Удалить пакет (выданный по ошибке)
+ */
+router.delete('/:userId/top-ups/:topUpId', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.topUpId)) {
+            return res.status(400).json({ error: 'Неверный topUpId' });
+        }
+        
+        const user = await HyUser.findOneAndUpdate(
+            { userId: req.params.userId, 'topUps._id': req.params.topUpId },
+            { $pull: { topUps: { _id: req.params.topUpId } } },
+            { new: true }
+        );
+        
+        if (!user) {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+        
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
+        
+        logger.info(`[Users API] Deleted top-up ${req.params.topUpId} of ${req.params.userId}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`[Users API] Delete top-up error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * POST /users - Создать пользователя
- * Body: { userId, username?, groups?, enabled?, trafficLimit?, expireAt? }
+ * Body: { userId, username?, groups?, enabled?, trafficLimit?, expireAt?, onHoldDays?, accessRules?, planId?, trafficResetStrategy?, trafficResetAnchor?, contacts?: { telegramId?, email? } }
+ * С planId лимиты, группы и срок берутся из тарифа (явно переданные поля имеют приоритет)
+ * onHoldDays > 0: срок (в днях) начнётся при первом подключении, expireAt игнорируется
  */
 router.post('/', async (req, res) => {
     try {
-        const { userId, username, groups, enabled, trafficLimit, expireAt } = req.body;
+        const { userId, username, groups, enabled, trafficLimit, expireAt, planId, note, tags } = req.body;
         
         if (!userId) {
             return res.status(400).json({ error: 'userId обязателен' });
         }
         
+        let planFields = {};
+        if (planId) {
+            const plan = await planService.getPlan(planId);
+            if (!plan) {
+                return res.status(400).json({ error: 'Тариф не найден' });
+            }
+            planFields = planService.getNewUserFields(plan);
+        }
+        
+        let userAccessRules;
+        let trafficReset;
+        let onHoldDays;
+        let contacts;
+        try {
+            userAccessRules = accessRuleService.normalizeRules(req.body.accessRules);
+            trafficReset = parseTrafficReset(req.body);
+            onHoldDays = parseOnHoldDays(req.body);
+            contacts = HyUser.normalizeContacts(req.body.contacts);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        
         // Проверяем существование
         const existing = await HyUser.findOne({ userId });
         if (existing) {
@@ -161,22 +729,34 @@ router.post('/', async (req, res) => {
         const password = cryptoService.generatePassword(userId);
         
         // Группы (массив ObjectId)
-        const userGroups = groups || [];
+        const userGroups = groups || planFields.groups || [];
         
         const user = new HyUser({
             userId,
             username: username || '',
             password,
+            note: note || '',
+            tags: HyUser.normalizeTags(tags),
+            ...planFields,
             groups: userGroups,
             enabled: enabled !== undefined ? enabled : false,
-            trafficLimit: trafficLimit || 0,
-            expireAt: expireAt || null,
+            trafficLimit: trafficLimit || planFields.trafficLimit || 0,
+            expireAt: expireAt || planFields.expireAt || null,
             nodes: [], // Ноды автоматически по группам
+            accessRules: userAccessRules,
+            contacts,
+            ...trafficReset,
         });
         
+        if (onHoldDays > 0) {
+            user.onHold.durationDays = onHoldDays;
+            user.expireAt = null;
+        }
+        
         await user.save();
         
         logger.info(`[Users API] Created user ${userId}, groups: ${userGroups.length}`);
+        webhookService.emitUser('user.created', user);
         
         res.status(201).json(user);
     } catch (error) {
@@ -185,12 +765,39 @@ router.post('/', async (req, res) => {
     }
 });
 
+/**
+ * POST /users/bulk - Массовая операция над пользователями
+ * Body: {
+ *   userIds?: ['id1', ...] | filter?: { group?, tag?, enabled?, onHold?, expireBefore?, overQuota? },
+ *   action: enable | disable | extend | setGroups | addGroups | removeGroups | setTags | addTags | removeTags | delete,
+ *   params?: { days? (extend), groups? (*Groups), tags? (*Tags) }
+ * }
+ */
+router.post('/bulk', async (req, res) => {
+    try {
+        const { userIds, filter, action, params } = req.body;
+        
+        // Вебхуки отправляет сервис (только для реально изменённых пользователей)
+        const result = await userBulkService.run({ userIds, filter, action, params });
+        
+        res.json(result);
+    } catch (error) {
+        if (error instanceof userBulkService.BulkError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error(`[Users API] Bulk error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * PUT /users/:userId - Обновить пользователя
+ * onHoldDays > 0 снова ставит срок на ожидание первого подключения (expireAt сбрасывается)
+ * contacts: { telegramId?, email? } - куда отправлять предупреждения о сроке и трафике
  */
 router.put('/:userId', async (req, res) => {
     try {
-        const { enabled, groups, trafficLimit, username, expireAt } = req.body;
+        const { enabled, groups, trafficLimit, username, expireAt, accessRules, planId, note, tags } = req.body;
         
         const user = await HyUser.findOne({ userId: req.params.userId });
         if (!user) {
@@ -211,6 +818,14 @@ router.put('/:userId', async (req, res) => {
             updates.trafficLimit = trafficLimit;
         }
         
+        if (note !== undefined) {
+            updates.note = note || '';
+        }
+        
+        if (tags !== undefined) {
+            updates.tags = HyUser.normalizeTags(tags);
+        }
+        
         if (expireAt !== undefined) {
             updates.expireAt = expireAt;
         }
@@ -219,6 +834,50 @@ router.put('/:userId', async (req, res) => {
             updates.groups = groups;
         }
         
+        // Только привязка к тарифу, лимиты не меняются (для применения - /renew)
+        if (planId !== undefined) {
+            if (planId && !await planService.getPlan(planId)) {
+                return res.status(400).json({ error: 'Тариф не найден' });
+            }
+            updates.plan = planId || null;
+        }
+        
+        if (accessRules !== undefined) {
+            try {
+                updates.accessRules = accessRuleService.normalizeRules(accessRules);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+        }
+        
+        if (req.body.contacts !== undefined) {
+            try {
+                // Не переданный контакт остаётся прежним
+                updates.contacts = HyUser.normalizeContacts({
+                    telegramId: user.contacts?.telegramId,
+                    email: user.contacts?.email,
+                    ...req.body.contacts,
+                });
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+        }
+        
+        try {
+            Object.assign(updates, parseTrafficReset(req.body));
+            
+            const onHoldDays = parseOnHoldDays(req.body);
+            if (onHoldDays !== undefined) {
+                updates['onHold.durationDays'] = onHoldDays;
+                if (onHoldDays > 0) {
+                    updates['onHold.activatedAt'] = null;
+                    updates.expireAt = null;
+                }
+            }
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        
         const updatedUser = await HyUser.findOneAndUpdate(
             { userId: req.params.userId },
             { $set: updates },
@@ -228,10 +887,14 @@ router.put('/:userId', async (req, res) => {
         .populate('groups', 'name color');
         
         // Инвалидируем кэш
-        await invalidateUserCache(req.params.userId, user.subscriptionToken);
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
         
         logger.info(`[Users API] Updated user ${req.params.userId}`);
         
+        if (updatedUser && updatedUser.enabled !== user.enabled) {
+            webhookService.emitUser(updatedUser.enabled ? 'user.enabled' : 'user.disabled', updatedUser);
+        }
+        
         res.json(updatedUser);
     } catch (error) {
         logger.error(`[Users API] Update error: ${error.message}`);
@@ -240,28 +903,90 @@ router.put('/:userId', async (req, res) => {
 });
 
 /**
- * DELETE /users/:userId - Удалить пользователя
+ * DELETE /users/:userId - Удалить пользователя (в корзину, восстановление - /api/trash)
+ * Устройства, история трафика и подключений удаляются при очистке корзины
  */
 router.delete('/:userId', async (req, res) => {
     try {
-        const user = await HyUser.findOneAndDelete({ userId: req.params.userId });
+        const user = await trashService.trashUser(req.params.userId);
         
         if (!user) {
             return res.status(404).json({ error: 'Пользователь не найден' });
         }
         
-        // Инвалидируем кэш
-        await invalidateUserCache(req.params.userId, user.subscriptionToken);
-        
-        logger.info(`[Users API] Deleted user ${req.params.userId}`);
+        logger.info(`[Users API] Deleted user ${req.params.userId} (moved to trash)`);
         
-        res.json({ success: true, message: 'Пользователь удалён' });
+        res.json({ success: true, message: 'Пользователь перемещён в корзину' });
     } catch (error) {
         logger.error(`[Users API] Delete error: ${error.message}`);
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * POST /users/:userId/renew - Продлить пользователя по тарифу
+ * Body: { planId?, resetTraffic? }
+ * Без planId используется текущий тариф пользователя.
+ * Срок продлевается от текущей даты окончания, если она ещё не наступила.
+ */
+router.post('/:userId/renew', async (req, res) => {
+    try {
+        const { planId, resetTraffic } = req.body;
+        
+        const user = await HyUser.findOne({ userId: req.params.userId }).select('plan');
+        if (!user) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        
+        const targetPlanId = planId || user.plan;
+        if (!targetPlanId) {
+            return res.status(400).json({ error: 'У пользователя нет тарифа, укажите planId' });
+        }
+        
+        const plan = await planService.getPlan(targetPlanId);
+        if (!plan) {
+            return res.status(400).json({ error: 'Тариф не найден' });
+        }
+        
+        const updatedUser = await planService.renewUser(req.params.userId, plan, {
+            resetTraffic: resetTraffic !== false && resetTraffic !== 'false',
+        });
+        
+        res.json(updatedUser);
+    } catch (error) {
+        logger.error(`[Users API] Renew error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /users/:userId/rotate-token - Выпустить новый токен подписки
+ * Body: { graceHours? } - сколько часов работает старая ссылка (по умолчанию из настроек)
+ * После grace period старая ссылка отвечает "ссылка изменена"
+ */
+router.post('/:userId/rotate-token', async (req, res) => {
+    try {
+        const { graceHours } = req.body || {};
+        
+        if (graceHours !== undefined && graceHours !== null && graceHours !== '' && !(Number(graceHours) >= 0)) {
+            return res.status(400).json({ error: 'graceHours должен быть >= 0' });
+        }
+        
+        const result = await subscriptionTokenService.rotateToken(req.params.userId, { graceHours });
+        if (!result) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        
+        res.json({
+            ...result,
+            subscriptionUrl: `${config.BASE_URL}/api/files/${result.subscriptionToken}`,
+        });
+    } catch (error) {
+        logger.error(`[Users API] Rotate token error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * POST /users/:userId/enable - Включить пользователя
  */
@@ -278,9 +1003,10 @@ router.post('/:userId/enable', async (req, res) => {
         }
         
         // Инвалидируем кэш
-        await invalidateUserCache(req.params.userId, user.subscriptionToken);
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
         
         logger.info(`[Users API] Enabled user ${req.params.userId}`);
+        webhookService.emitUser('user.enabled', user);
         res.json(user);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -303,9 +1029,10 @@ router.post('/:userId/disable', async (req, res) => {
         }
         
         // Инвалидируем кэш
-        await invalidateUserCache(req.params.userId, user.subscriptionToken);
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
         
         logger.info(`[Users API] Disabled user ${req.params.userId}`);
+        webhookService.emitUser('user.disabled', user);
         res.json(user);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -335,7 +1062,7 @@ router.post('/:userId/groups', async (req, res) => {
         }
         
         // Инвалидируем кэш
-        await invalidateUserCache(req.params.userId, user.subscriptionToken);
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
         
         logger.info(`[Users API] Added groups to user ${req.params.userId}`);
         res.json(user);
@@ -360,7 +1087,7 @@ router.delete('/:userId/groups/:groupId', async (req, res) => {
         }
         
         // Инвалидируем кэш
-        await invalidateUserCache(req.params.userId, user.subscriptionToken);
+        await invalidateUserCache(req.params.userId, user.subscriptionToken, user.credentials);
         
         logger.info(`[Users API] Removed group ${req.params.groupId} from user ${req.params.userId}`);
         res.json(user);
@@ -371,65 +1098,31 @@ router.delete('/:userId/groups/:groupId', async (req, res) => {
 
 /**
  * POST /users/sync-from-main - Синхронизация с основной БД
- * Body: { users: [{ userId, username, enabled, groups }] }
+ * Body: {
+ *   users: [{ userId, username?, enabled?, groups?, trafficLimit?, expireAt?, maxDevices?, note?, tags?, trafficResetStrategy? }],
+ *   mode?: 'merge' | 'reconcile',   // reconcile - users содержит полный список
+ *   missing?: 'disable' | 'delete', // что делать с отсутствующими в списке (только reconcile)
+ *   dryRun?: boolean                // вернуть diff без изменений
+ * }
+ * Отсутствующие в записи поля не изменяются
  */
-router.post('/sync-from-main', async (req, res) => {
+// Полный список пользователей основной БД не помещается в лимит по умолчанию (100kb)
+router.post('/sync-from-main', express.json({ limit: '50mb' }), async (req, res) => {
     try {
-        const { users } = req.body;
-        
-        if (!Array.isArray(users)) {
-            return res.status(400).json({ error: 'users должен быть массивом' });
-        }
-        
-        let created = 0, updated = 0, errors = 0;
+        const { users, mode, missing, dryRun } = req.body || {};
         
-        for (const userData of users) {
-            try {
-                const { userId, username, enabled, groups } = userData;
-                
-                if (!userId) continue;
-                
-                const existing = await HyUser.findOne({ userId });
-                
-                if (existing) {
-                    // Обновляем
-                    const updates = {};
-                    if (enabled !== undefined && enabled !== existing.enabled) {
-                        updates.enabled = enabled;
-                    }
-                    if (username) updates.username = username;
-                    if (groups !== undefined) {
-                        updates.groups = groups;
-                    }
-                    
-                    if (Object.keys(updates).length > 0) {
-                        await HyUser.updateOne({ userId }, { $set: updates });
-                        updated++;
-                    }
-                } else {
-                    // Создаём нового
-                    const password = cryptoService.generatePassword(userId);
-                    
-                    await HyUser.create({
-                        userId,
-                        username: username || '',
-                        password,
-                        groups: groups || [],
-                        enabled: enabled || false,
-                        nodes: [],
-                    });
-                    created++;
-                }
-            } catch (err) {
-                logger.error(`[Sync] Error for userId ${userData.userId}: ${err.message}`);
-                errors++;
-            }
-        }
-        
-        logger.info(`[Sync] Sync: created ${created}, updated ${updated}, errors ${errors}`);
+        const result = await userSyncService.sync({
+            users,
+            mode: mode || 'merge',
+            missing: missing || 'disable',
+            dryRun: dryRun === true,
+        });
         
-        res.json({ created, updated, errors });
+        res.json(result);
     } catch (error) {
+        if (error instanceof userSyncService.SyncError) {
+            return res.status(400).json({ error: error.message });
+        }
         logger.error(`[Sync] Sync error: ${error.message}`);
         res.status(500).json({ error: error.message });
     }
@@ -0,0 +1,163 @@
+/**
+ * API исходящих вебхуков
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhookModel');
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+async function findWebhook(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Webhook.findById(id);
+}
+
+/**
+ * GET /webhooks - Список вебхуков и доступных событий
+ */
+router.get('/', async (req, res) => {
+    try {
+        const webhooks = await Webhook.find().sort({ name: 1 }).lean();
+        res.json({ events: Webhook.EVENTS, webhooks });
+    } catch (error) {
+        logger.error(`[Webhooks API] List error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /webhooks - Создать вебхук
+ * Body: { name, url, events? (пусто = все события), secret? (генерируется), enabled? }
+ */
+router.post('/', async (req, res) => {
+    try {
+        let data;
+        try {
+            data = webhookService.normalizeInput(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        
+        const webhook = await Webhook.create(data);
+        webhookService.invalidate();
+        
+        logger.info(`[Webhooks API] Created webhook "${webhook.name}"`);
+        
+        res.status(201).json(webhook);
+    } catch (error) {
+        logger.error(`[Webhooks API] Create error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /webhooks/:id - Обновить вебхук
+ * Body: любые поля из POST
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        let data;
+        try {
+            data = webhookService.normalizeInput(req.body, true);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Вебхук не найден' });
+        }
+        
+        webhook.set(data);
+        await webhook.save();
+        webhookService.invalidate();
+        
+        logger.info(`[Webhooks API] Updated webhook "${webhook.name}"`);
+        
+        res.json(webhook);
+    } catch (error) {
+        logger.error(`[Webhooks API] Update error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /webhooks/:id - Удалить вебхук вместе с журналом доставок
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!await webhookService.deleteWebhook(req.params.id)) {
+            return res.status(404).json({ error: 'Вебхук не найден' });
+        }
+        
+        logger.info(`[Webhooks API] Deleted webhook ${req.params.id}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`[Webhooks API] Delete error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /webhooks/:id/test - Отправить событие ping (без повторов)
+ */
+router.post('/:id/test', async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Вебхук не найден' });
+        }
+        
+        const delivery = await webhookService.test(webhook);
+        
+        res.json(delivery);
+    } catch (error) {
+        logger.error(`[Webhooks API] Test error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /webhooks/:id/deliveries - Журнал доставок
+ * Query: status? (pending | success | failed), limit? (до 200)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Вебхук не найден' });
+        }
+        
+        const deliveries = await webhookService.getDeliveries(webhook._id, {
+            status: req.query.status,
+            limit: req.query.limit,
+        });
+        
+        res.json(deliveries);
+    } catch (error) {
+        logger.error(`[Webhooks API] Deliveries error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /webhooks/deliveries/:deliveryId/retry - Повторить доставку сейчас
+ */
+router.post('/deliveries/:deliveryId/retry', async (req, res) => {
+    try {
+        const delivery = await webhookService.redeliver(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Доставка не найдена' });
+        }
+        
+        res.json(delivery);
+    } catch (error) {
+        logger.error(`[Webhooks API] Retry error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
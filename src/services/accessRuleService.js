@@ -0,0 +1,164 @@
+/**
+ * Client IP / country access rules for auth
+ *
+ * Rules (HyUser.accessRules and ServerGroup.accessRules):
+ * - ipAllow / ipDeny - CIDR lists, IPv4 and IPv6 (single address = /32 or /128)
+ * - countryAllow / countryDeny - ISO country codes (resolved by geoIpService)
+ *
+ * User rules and rules of every user group must all pass.
+ * Deny lists win; a non-empty allow list rejects everything not in it.
+ */
+
+const net = require('net');
+const geoIp = require('./geoIpService');
+
+const RULE_FIELDS = ['ipAllow', 'ipDeny', 'countryAllow', 'countryDeny'];
+const MAX_COMPILED = 1000;
+
+/**
+ * Split admin input ("1.2.3.0/24, 10.0.0.1" or one per line) into entries
+ */
+function splitList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[\s,;]+/);
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse CIDR entry
+ * @returns {Object|null} { address, prefix, family } or null if invalid
+ */
+function parseCidr(entry) {
+    const [address, prefixStr] = entry.split('/');
+    const version = net.isIP(address);
+    if (!version) return null;
+
+    const family = version === 4 ? 'ipv4' : 'ipv6';
+    const maxPrefix = version === 4 ? 32 : 128;
+    const prefix = prefixStr === undefined ? maxPrefix : Number(prefixStr);
+
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+
+    return { address, prefix, family };
+}
+
+/**
+ * IPv4-mapped IPv6 (::ffff:1.2.3.4) -> 1.2.3.4
+ */
+function normalizeIP(ip) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip || '');
+    return mapped ? mapped[1] : ip;
+}
+
+class AccessRuleService {
+    constructor() {
+        // Compiled BlockList per CIDR list
+        this.compiled = new Map();
+    }
+
+    /**
+     * Validate and normalize rules from API / panel input
+     * @throws {Error} on invalid CIDR or country code
+     */
+    normalizeRules(input = {}) {
+        const rules = {};
+
+        for (const field of ['ipAllow', 'ipDeny']) {
+            rules[field] = splitList(input[field]);
+            const invalid = rules[field].find(entry => !parseCidr(entry));
+            if (invalid) {
+                throw new Error(`Invalid CIDR in ${field}: ${invalid}`);
+            }
+        }
+
+        for (const field of ['countryAllow', 'countryDeny']) {
+            rules[field] = splitList(input[field]).map(code => code.toUpperCase());
+            const invalid = rules[field].find(code => !/^[A-Z]{2}$/.test(code));
+            if (invalid) {
+                throw new Error(`Invalid country code in ${field}: ${invalid}`);
+            }
+        }
+
+        return rules;
+    }
+
+    hasRules(rules) {
+        return !!rules && RULE_FIELDS.some(field => rules[field]?.length > 0);
+    }
+
+    /**
+     * Check client IP against user and group rules
+     * @param {Object} user - with populated groups (name, accessRules)
+     * @returns {Object} { allowed, reason?, detail? }
+     */
+    check(user, clientIP) {
+        const ruleSets = [{ source: 'user', rules: user.accessRules }];
+        for (const group of user.groups || []) {
+            ruleSets.push({ source: `group "${group.name}"`, rules: group.accessRules });
+        }
+
+        const ip = normalizeIP(clientIP);
+        let country;
+
+        for (const { source, rules } of ruleSets) {
+            if (!this.hasRules(rules)) continue;
+
+            if (this.matchesIP(ip, rules.ipDeny)) {
+                return { allowed: false, reason: 'ip_not_allowed', detail: `${ip} denied by ${source}` };
+            }
+            if (rules.ipAllow?.length > 0 && !this.matchesIP(ip, rules.ipAllow)) {
+                return { allowed: false, reason: 'ip_not_allowed', detail: `${ip} not in allow list of ${source}` };
+            }
+
+            if (rules.countryAllow?.length > 0 || rules.countryDeny?.length > 0) {
+                if (country === undefined) {
+                    country = geoIp.lookupCountry(ip);
+                }
+
+                if (country && rules.countryDeny?.includes(country)) {
+                    return { allowed: false, reason: 'country_not_allowed', detail: `${country} denied by ${source}` };
+                }
+                if (rules.countryAllow?.length > 0 && !rules.countryAllow.includes(country)) {
+                    return { allowed: false, reason: 'country_not_allowed', detail: `${country || 'unknown country'} not in allow list of ${source}` };
+                }
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * IP matches any CIDR in list
+     */
+    matchesIP(ip, list) {
+        if (!list?.length || !ip) return false;
+
+        const version = net.isIP(ip);
+        if (!version) return false;
+
+        return this.compile(list).check(ip, version === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    compile(list) {
+        const key = list.join(',');
+        let blockList = this.compiled.get(key);
+        if (blockList) return blockList;
+
+        blockList = new net.BlockList();
+        for (const entry of list) {
+            const cidr = parseCidr(entry);
+            if (cidr) {
+                blockList.addSubnet(cidr.address, cidr.prefix, cidr.family);
+            }
+        }
+
+        if (this.compiled.size >= MAX_COMPILED) {
+            this.compiled.clear();
+        }
+        this.compiled.set(key, blockList);
+
+        return blockList;
+    }
+}
+
+module.exports = new AccessRuleService();
@@ -0,0 +1,134 @@
+/**
+ * Auth hot path resilience
+ *
+ * - Circuit breakers around Redis (cacheService) and MongoDB calls
+ * - In-process LRU of recently authorized users (for last-known-good policy)
+ * - Last known settings and node tokens, so a short outage doesn't break node lookup
+ *
+ * Policy on backend failure (settings.authFailover.policy):
+ * - fail_open        - accept the connection
+ * - fail_closed      - reject the connection
+ * - last_known_good  - accept only users authorized recently with the same credentials
+ */
+
+const crypto = require('crypto');
+const CircuitBreaker = require('../utils/circuitBreaker');
+
+const { CircuitOpenError, CircuitTimeoutError } = CircuitBreaker;
+
+const LRU_MAX_SIZE = 10000;
+const DEFAULT_POLICY = 'last_known_good';
+const DEFAULT_LAST_KNOWN_GOOD_MINUTES = 60;
+
+// MongoDB driver / Mongoose connection errors
+const MONGO_UNAVAILABLE = new Set([
+    'MongoNetworkError',
+    'MongoNetworkTimeoutError',
+    'MongoServerSelectionError',
+    'MongoNotConnectedError',
+    'MongoTopologyClosedError',
+    'MongooseServerSelectionError',
+]);
+// ioredis connection errors
+const REDIS_UNAVAILABLE = /connection is closed|stream isn't writeable|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EPIPE/i;
+
+function hashAuth(auth) {
+    return crypto.createHash('sha256').update(String(auth)).digest('hex');
+}
+
+class AuthFallbackService {
+    constructor() {
+        this.redis = new CircuitBreaker('redis', { failureThreshold: 5, resetTimeout: 15000, callTimeout: 1000 });
+        this.mongo = new CircuitBreaker('mongodb', { failureThreshold: 3, resetTimeout: 15000, callTimeout: 3000 });
+
+        // userId -> { user, authHash, at }; Map keeps insertion order = LRU order
+        this.users = new Map();
+        // nodeToken -> node
+        this.nodes = new Map();
+        this.settings = null;
+    }
+
+    /**
+     * Failure policy from settings
+     */
+    getPolicy(settings) {
+        return settings?.authFailover?.policy || DEFAULT_POLICY;
+    }
+
+    /**
+     * Whether error means Redis/MongoDB are unavailable (the failover policy applies);
+     * anything else is a bug or bad data and is rejected
+     */
+    isBackendError(err) {
+        if (!err) return false;
+        if (err instanceof CircuitOpenError || err instanceof CircuitTimeoutError) return true;
+        if (MONGO_UNAVAILABLE.has(err.name)) return true;
+        if (err.name === 'MaxRetriesPerRequestError') return true;
+        return REDIS_UNAVAILABLE.test(err.message || '') || REDIS_UNAVAILABLE.test(err.code || '');
+    }
+
+    /**
+     * Remember user after successful auth
+     */
+    rememberUser(userId, auth, user) {
+        this.users.delete(userId);
+        this.users.set(userId, { user, authHash: hashAuth(auth), at: Date.now() });
+
+        if (this.users.size > LRU_MAX_SIZE) {
+            this.users.delete(this.users.keys().next().value);
+        }
+    }
+
+    /**
+     * Last known good user for these credentials
+     * @returns {Object|null} user snapshot if authorized within the allowed window
+     */
+    recallUser(userId, auth, settings) {
+        const entry = this.users.get(userId);
+        if (!entry) return null;
+
+        const maxAge = (settings?.authFailover?.lastKnownGoodMinutes ?? DEFAULT_LAST_KNOWN_GOOD_MINUTES) * 60 * 1000;
+        if (Date.now() - entry.at > maxAge || entry.authHash !== hashAuth(auth)) {
+            return null;
+        }
+
+        // Refresh LRU position
+        this.users.delete(userId);
+        this.users.set(userId, entry);
+
+        return entry.user;
+    }
+
+    /**
+     * Forget user (disabled/deleted in panel)
+     */
+    forgetUser(userId) {
+        this.users.delete(userId);
+    }
+
+    rememberNode(nodeToken, node) {
+        this.nodes.set(nodeToken, node);
+    }
+
+    recallNode(nodeToken) {
+        return this.nodes.get(nodeToken) || null;
+    }
+
+    rememberSettings(settings) {
+        this.settings = settings;
+    }
+
+    recallSettings() {
+        return this.settings;
+    }
+
+    getStatus() {
+        return {
+            redis: this.redis.getStatus(),
+            mongodb: this.mongo.getStatus(),
+            knownUsers: this.users.size,
+        };
+    }
+}
+
+module.exports = new AuthFallbackService();
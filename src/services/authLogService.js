@@ -0,0 +1,127 @@
+/**
+ * Auth decisions log service
+ *
+ * Auth is a hot path, so entries are buffered in memory
+ * and written with insertMany (1 query per flush instead of 1 per request)
+ */
+
+const AuthLog = require('../models/authLogModel');
+const authFallback = require('./authFallbackService');
+const logger = require('../utils/logger');
+
+const FLUSH_INTERVAL = 5000;    // 5 seconds
+const MAX_BUFFER = 500;         // flush earlier if buffer is full
+const MAX_PENDING = 10000;      // drop entries if MongoDB is unavailable for long
+
+class AuthLogService {
+    constructor() {
+        this.buffer = [];
+        this.flushing = false;
+        this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+        this.timer.unref();
+    }
+
+    /**
+     * Record auth decision
+     * @param {Object} entry - { userId, ip, node, ok, reason, detail }
+     */
+    record(entry) {
+        if (!entry.userId) return;
+
+        if (this.buffer.length >= MAX_PENDING) {
+            return;
+        }
+
+        this.buffer.push({
+            userId: entry.userId,
+            ip: entry.ip || '',
+            node: entry.node?._id || null,
+            nodeName: entry.node?.name || '',
+            ok: !!entry.ok,
+            reason: entry.reason,
+            detail: entry.detail || '',
+            createdAt: new Date(),
+        });
+
+        if (this.buffer.length >= MAX_BUFFER) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Write buffered entries to MongoDB
+     */
+    async flush() {
+        if (this.flushing || this.buffer.length === 0) return;
+
+        this.flushing = true;
+        const batch = this.buffer;
+        this.buffer = [];
+
+        try {
+            await AuthLog.insertMany(batch, { ordered: false });
+            logger.debug(`[AuthLog] Saved ${batch.length} entries`);
+        } catch (err) {
+            const retry = this.failedEntries(batch, err);
+            logger.error(`[AuthLog] Flush error: ${err.message} (${retry.length} of ${batch.length} entries kept for retry)`);
+            // Put entries back (keeping the limit) to retry on next flush
+            this.buffer = retry.concat(this.buffer).slice(-MAX_PENDING);
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Entries worth retrying after a failed insertMany. With ordered: false the
+     * rest of the batch is already stored, so only writeErrors go back; a batch
+     * that failed as a whole is retried only if MongoDB was unavailable
+     */
+    failedEntries(batch, err) {
+        if (err.writeErrors?.length) {
+            return err.writeErrors.map(writeError => batch[writeError.index]).filter(Boolean);
+        }
+        return authFallback.isBackendError(err) ? batch : [];
+    }
+
+    /**
+     * Get auth log for user
+     * @param {string} userId
+     * @param {Object} filters - { ok, reason, nodeId, from, to, page, limit }
+     */
+    async getUserLog(userId, filters = {}) {
+        const { ok, reason, nodeId, from, to } = filters;
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+
+        const query = { userId };
+        if (ok !== undefined) query.ok = ok;
+        if (reason) query.reason = reason;
+        if (nodeId) query.node = nodeId;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = from;
+            if (to) query.createdAt.$lte = to;
+        }
+
+        const [entries, total] = await Promise.all([
+            AuthLog.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            AuthLog.countDocuments(query),
+        ]);
+
+        return {
+            entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+}
+
+module.exports = new AuthLogService();
@@ -8,6 +8,8 @@ const path = require('path');
 const fs = require('fs');
 const config = require('../../config');
 const logger = require('../utils/logger');
+const webhookService = require('./webhookService');
+const notificationService = require('./notificationService');
 
 const execAsync = promisify(exec);
 
@@ -50,6 +52,8 @@ async function createBackup(settings) {
     const backupName = `hysteria-backup-${timestamp}`;
     const backupPath = path.join(backupDir, backupName);
     const archivePath = path.join(backupDir, `${backupName}.tar.gz`);
+    // Этап для внешних уведомлений: текст ошибки exec содержит команду с MONGO_URI
+    let stage = 'dump';
     
     try {
         // Получаем MongoDB URI
@@ -62,6 +66,7 @@ async function createBackup(settings) {
         logger.info(`[Backup] Dump created: ${backupPath}`);
         
         // Создаём tar архив
+        stage = 'archive';
         const tarCmd = `cd "${backupDir}" && tar -czf "${backupName}.tar.gz" "${backupName}" && rm -rf "${backupName}"`;
         await execAsync(tarCmd);
         logger.info(`[Backup] Archive created: ${archivePath}`);
@@ -72,10 +77,12 @@ async function createBackup(settings) {
         
         // Загружаем в S3 если настроено
         if (settings?.backup?.s3?.enabled) {
+            stage = 'upload';
             await uploadToS3(archivePath, `${backupName}.tar.gz`, settings);
         }
         
         // Ротация старых бэкапов
+        stage = 'rotate';
         const keepLast = settings?.backup?.keepLast || 7;
         await rotateBackups(backupDir, keepLast);
         
@@ -84,6 +91,8 @@ async function createBackup(settings) {
         await Settings.update({ 'backup.lastBackup': new Date() });
         
         logger.info(`[Backup] Completed: ${backupName} (${sizeMB} MB)`);
+        webhookService.emit('backup.completed', { filename: `${backupName}.tar.gz`, size: stats.size });
+        notificationService.notify('backup.completed', { filename: `${backupName}.tar.gz`, size: sizeMB });
         
         return {
             success: true,
@@ -95,6 +104,8 @@ async function createBackup(settings) {
         
     } catch (error) {
         logger.error(`[Backup] Error: ${error.message}`);
+        webhookService.emit('backup.failed', { filename: `${backupName}.tar.gz`, error: `${stage}_failed` });
+        notificationService.notify('backup.failed', { filename: `${backupName}.tar.gz`, error: `${stage}_failed` });
         
         // Cleanup при ошибке
         try {
@@ -5,6 +5,7 @@
  * - User subscriptions
  * - User data (for auth)
  * - Online sessions (for device limits)
+ * - Online users per node (from node Stats API)
  * - Active nodes
  * 
  * TTL is configurable via panel settings
@@ -12,6 +13,7 @@
 
 const Redis = require('ioredis');
 const logger = require('../utils/logger');
+const cryptoService = require('./cryptoService');
 
 // Default TTL (seconds) - used if settings not loaded
 const DEFAULT_TTL = {
@@ -23,6 +25,7 @@ const DEFAULT_TTL = {
     TRAFFIC_STATS: 300,      // 5 minutes
     GROUPS: 300,             // 5 minutes
     DASHBOARD_COUNTS: 60,    // 1 minute
+    NODE_ONLINE: 180,        // 3 minutes (refreshed by health check every minute)
 };
 
 // Key prefixes
@@ -31,11 +34,13 @@ const PREFIX = {
     USER: 'user:',           // user:{userId}
     DEVICES: 'devices:',     // devices:{userId} - Hash with device IPs
     ONLINE: 'online',        // online (stores all sessions) - legacy
+    NODE_ONLINE: 'online:node:', // online:node:{nodeId} - Hash userId -> { connections, since }
     NODES: 'nodes:active',   // nodes:active
     SETTINGS: 'settings',    // settings
     TRAFFIC_STATS: 'traffic:stats', // Total traffic stats
     GROUPS: 'groups:active', // Active groups
     DASHBOARD_COUNTS: 'dashboard:counts', // Dashboard counters
+    TAG_STATS: 'dashboard:tags', // Users per tag (HyUser.getTagStats), same TTL as counters
 };
 
 class CacheService {
@@ -63,6 +68,7 @@ class CacheService {
             TRAFFIC_STATS: DEFAULT_TTL.TRAFFIC_STATS, // Always fixed
             GROUPS: DEFAULT_TTL.GROUPS, // Always fixed
             DASHBOARD_COUNTS: DEFAULT_TTL.DASHBOARD_COUNTS, // Always fixed
+            NODE_ONLINE: DEFAULT_TTL.NODE_ONLINE, // Always fixed
         };
         logger.info(`[Cache] TTL updated: sub=${this.ttl.SUBSCRIPTION}s, user=${this.ttl.USER}s`);
     }
@@ -240,9 +246,15 @@ class CacheService {
         
         try {
             const key = `${PREFIX.USER}${userId}`;
-            // Don't cache password
+            // Don't cache password (credentials keep only a hash for auth)
             const safeData = { ...userData };
             if (safeData.password) delete safeData.password;
+            if (safeData.credentials) {
+                safeData.credentials = safeData.credentials.map(({ password, token, ...credential }) => ({
+                    ...credential,
+                    passwordHash: cryptoService.hashSecret(password),
+                }));
+            }
             
             await this.redis.setex(key, this.ttl.USER, JSON.stringify(safeData));
             logger.debug(`[Cache] SET user: ${userId}`);
@@ -266,6 +278,42 @@ class CacheService {
         }
     }
 
+    /**
+     * Invalidate many users at once: user and device IP keys in a pipeline,
+     * subscriptions of all tokens in one SCAN over sub:*
+     * @param {string[]} userIds
+     * @param {string[]} tokens - subscription and app password tokens
+     */
+    async invalidateUsers(userIds, tokens = []) {
+        if (!this.isConnected()) return;
+        
+        const BATCH_SIZE = 500;
+        
+        try {
+            for (let i = 0; i < userIds.length; i += BATCH_SIZE) {
+                const pipeline = this.redis.pipeline();
+                for (const userId of userIds.slice(i, i + BATCH_SIZE)) {
+                    pipeline.unlink(`${PREFIX.USER}${userId}`, `${PREFIX.DEVICES}${userId}`);
+                }
+                await pipeline.exec();
+            }
+            
+            const tokenSet = new Set(tokens.filter(Boolean));
+            if (tokenSet.size === 0) return;
+            
+            // sub:{token}:{format}
+            const keysToDelete = (await this._scanKeys(`${PREFIX.SUB}*`))
+                .filter(key => tokenSet.has(key.slice(PREFIX.SUB.length, key.lastIndexOf(':'))));
+            
+            for (let i = 0; i < keysToDelete.length; i += BATCH_SIZE) {
+                await this.redis.unlink(...keysToDelete.slice(i, i + BATCH_SIZE));
+            }
+            logger.debug(`[Cache] INVALIDATE ${userIds.length} users (${keysToDelete.length} subscription keys)`);
+        } catch (err) {
+            logger.error(`[Cache] invalidateUsers error: ${err.message}`);
+        }
+    }
+
     // ==================== DEVICES (IP) ====================
 
     /**
@@ -386,6 +434,74 @@ class CacheService {
         }
     }
 
+    // ==================== ONLINE USERS BY NODE ====================
+
+    /**
+     * Get online users of nodes
+     * @param {Array} nodeIds
+     * @returns {Map|null} nodeId -> { userId: { connections, since } }
+     */
+    async getNodesOnline(nodeIds) {
+        if (!this.isConnected()) return null;
+        
+        try {
+            const pipeline = this.redis.pipeline();
+            nodeIds.forEach(id => pipeline.hgetall(`${PREFIX.NODE_ONLINE}${id}`));
+            const results = await pipeline.exec();
+            
+            const byNode = new Map();
+            results.forEach(([err, hash], i) => {
+                const sessions = {};
+                if (!err && hash) {
+                    for (const [userId, value] of Object.entries(hash)) {
+                        sessions[userId] = JSON.parse(value);
+                    }
+                }
+                byNode.set(String(nodeIds[i]), sessions);
+            });
+            return byNode;
+        } catch (err) {
+            logger.error(`[Cache] getNodesOnline error: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Replace online users of node
+     * @param {Object} sessions - { userId: { connections, since } }
+     */
+    async setNodeOnline(nodeId, sessions) {
+        if (!this.isConnected()) return;
+        
+        try {
+            const key = `${PREFIX.NODE_ONLINE}${nodeId}`;
+            const entries = Object.entries(sessions).flatMap(([userId, s]) => [userId, JSON.stringify(s)]);
+            
+            const multi = this.redis.multi().del(key);
+            if (entries.length > 0) {
+                multi.hset(key, ...entries).expire(key, this.ttl.NODE_ONLINE);
+            }
+            await multi.exec();
+        } catch (err) {
+            logger.error(`[Cache] setNodeOnline error: ${err.message}`);
+        }
+    }
+
+    /**
+     * Remove user from online lists of nodes (after kick)
+     */
+    async removeNodeOnlineUser(nodeIds, userId) {
+        if (!this.isConnected() || nodeIds.length === 0) return;
+        
+        try {
+            const pipeline = this.redis.pipeline();
+            nodeIds.forEach(id => pipeline.hdel(`${PREFIX.NODE_ONLINE}${id}`, userId));
+            await pipeline.exec();
+        } catch (err) {
+            logger.error(`[Cache] removeNodeOnlineUser error: ${err.message}`);
+        }
+    }
+
     // ==================== ACTIVE NODES ====================
 
     /**
@@ -615,13 +731,46 @@ class CacheService {
     }
 
     /**
-     * Invalidate dashboard counters cache
+     * Get cached tag stats
+     */
+    async getTagStats() {
+        if (!this.isConnected()) return null;
+        
+        try {
+            const data = await this.redis.get(PREFIX.TAG_STATS);
+            if (data) {
+                logger.debug('[Cache] HIT tag stats');
+                return JSON.parse(data);
+            }
+            return null;
+        } catch (err) {
+            logger.error(`[Cache] getTagStats error: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save tag stats
+     */
+    async setTagStats(stats) {
+        if (!this.isConnected()) return;
+        
+        try {
+            await this.redis.setex(PREFIX.TAG_STATS, this.ttl.DASHBOARD_COUNTS, JSON.stringify(stats));
+            logger.debug('[Cache] SET tag stats');
+        } catch (err) {
+            logger.error(`[Cache] setTagStats error: ${err.message}`);
+        }
+    }
+
+    /**
+     * Invalidate dashboard counters cache (with tag stats: user changes go through here)
      */
     async invalidateDashboardCounts() {
         if (!this.isConnected()) return;
         
         try {
-            await this.redis.del(PREFIX.DASHBOARD_COUNTS);
+            await this.redis.del(PREFIX.DASHBOARD_COUNTS, PREFIX.TAG_STATS);
             logger.debug('[Cache] INVALIDATE dashboard counts');
         } catch (err) {
             logger.error(`[Cache] invalidateDashboardCounts error: ${err.message}`);
@@ -33,6 +33,20 @@ class CryptoService {
         return bytes.toString(CryptoJS.enc.Utf8);
     }
 
+    /**
+     * One-way hash (for comparing secrets without storing them in cache)
+     */
+    hashSecret(value) {
+        return CryptoJS.SHA256(String(value)).toString(CryptoJS.enc.Hex);
+    }
+
+    /**
+     * Generate random secret for user credential (app password and its subscription token)
+     */
+    generateCredentialSecret() {
+        return CryptoJS.lib.WordArray.random(12).toString();
+    }
+
     /**
      * Generate random secret for node stats API
      */
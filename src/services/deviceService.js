@@ -0,0 +1,176 @@
+/**
+ * HWID device registry
+ *
+ * Modern clients (Happ, Hiddify, v2rayTun) send device headers with subscription requests:
+ * x-hwid, x-device-os, x-ver-os, x-device-model
+ *
+ * Devices are always recorded; in "hwid" device limit mode the limit
+ * is enforced on registered (non-revoked) devices instead of unique IPs,
+ * and clients without x-hwid don't get the subscription (see subscription route).
+ * Hysteria auth carries no HWID, so the limit only covers subscription fetches:
+ * a config copied from a registered device still connects.
+ */
+
+const UserDevice = require('../models/userDeviceModel');
+const authFallback = require('./authFallbackService');
+const logger = require('../utils/logger');
+
+const MAX_FIELD_LENGTH = 128;
+
+function cleanHeader(value) {
+    return String(value || '').trim().substring(0, MAX_FIELD_LENGTH);
+}
+
+class DeviceService {
+    /**
+     * Extract device info from request headers
+     * @returns {Object|null} null if client doesn't send HWID
+     */
+    getDeviceInfo(req) {
+        const hwid = cleanHeader(req.headers['x-hwid']);
+        if (!hwid) return null;
+
+        return {
+            hwid,
+            platform: cleanHeader(req.headers['x-device-os']),
+            osVersion: cleanHeader(req.headers['x-ver-os']),
+            model: cleanHeader(req.headers['x-device-model']),
+            userAgent: cleanHeader(req.headers['user-agent']),
+            ip: req.ip || '',
+        };
+    }
+
+    /**
+     * Register device or update last seen
+     * @param {string} userId
+     * @param {Object} info - from getDeviceInfo
+     * @param {number} maxDevices - limit to enforce (0 or -1 = don't enforce)
+     * @param {Object} settings - failover policy for MongoDB errors while enforcing
+     * @returns {Object} { allowed, reason? }
+     */
+    async registerDevice(userId, info, maxDevices = 0, settings = null) {
+        let known = false;
+        try {
+            const existing = await UserDevice.findOne({ userId, hwid: info.hwid });
+
+            if (existing) {
+                if (existing.revoked) {
+                    return { allowed: false, reason: 'revoked' };
+                }
+                known = true;
+
+                await UserDevice.updateOne(
+                    { _id: existing._id },
+                    {
+                        $set: {
+                            platform: info.platform || existing.platform,
+                            osVersion: info.osVersion || existing.osVersion,
+                            model: info.model || existing.model,
+                            userAgent: info.userAgent,
+                            lastIp: info.ip,
+                            lastSeen: new Date(),
+                        }
+                    }
+                );
+                return { allowed: true };
+            }
+
+            if (maxDevices > 0) {
+                const activeCount = await UserDevice.countDocuments({ userId, revoked: false });
+                if (activeCount >= maxDevices) {
+                    logger.warn(`[Devices] Limit reached for ${userId} (${activeCount}/${maxDevices}), new HWID rejected`);
+                    return { allowed: false, reason: 'limit' };
+                }
+            }
+
+            const device = await UserDevice.create({
+                userId,
+                hwid: info.hwid,
+                platform: info.platform,
+                osVersion: info.osVersion,
+                model: info.model,
+                userAgent: info.userAgent,
+                lastIp: info.ip,
+            });
+
+            // Parallel requests from new devices all pass the count above:
+            // only the first maxDevices active devices keep their slot
+            if (maxDevices > 0 && !await this.isWithinLimit(userId, device._id, maxDevices)) {
+                await UserDevice.deleteOne({ _id: device._id });
+                logger.warn(`[Devices] Limit reached for ${userId} (concurrent registration), new HWID rejected`);
+                return { allowed: false, reason: 'limit' };
+            }
+
+            logger.info(`[Devices] New device for ${userId}: ${info.platform || 'unknown'} ${info.model || ''}`.trim());
+            return { allowed: true };
+        } catch (err) {
+            // Duplicate key = same device registered concurrently
+            if (err.code === 11000) {
+                return { allowed: true };
+            }
+            logger.error(`[Devices] Register error: ${err.message}`);
+            return { allowed: this.allowOnError(err, maxDevices, known, settings), reason: 'error' };
+        }
+    }
+
+    /**
+     * Decision when the registry fails, same rules as auth failover:
+     * only MongoDB unavailability falls back to the policy, other errors reject
+     * (last_known_good lets through devices that were already registered)
+     */
+    allowOnError(err, maxDevices, known, settings) {
+        if (maxDevices <= 0) return true;
+        if (!authFallback.isBackendError(err)) return false;
+
+        const policy = authFallback.getPolicy(settings);
+        if (policy === 'fail_open') return true;
+        if (policy === 'last_known_good') return known;
+        return false;
+    }
+
+    /**
+     * Whether device is among the user's first maxDevices active devices
+     */
+    async isWithinLimit(userId, deviceId, maxDevices) {
+        const first = await UserDevice.find({ userId, revoked: false })
+            .sort({ _id: 1 })
+            .limit(maxDevices)
+            .select('_id')
+            .lean();
+        return first.some(device => device._id.equals(deviceId));
+    }
+
+    /**
+     * List user devices (newest activity first)
+     */
+    async listDevices(userId) {
+        return UserDevice.find({ userId }).sort({ lastSeen: -1 }).lean();
+    }
+
+    /**
+     * Revoke device: it stops counting towards the limit and can't fetch subscription
+     */
+    async revokeDevice(userId, deviceId) {
+        return UserDevice.findOneAndUpdate(
+            { _id: deviceId, userId },
+            { $set: { revoked: true } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Delete device record (device can register again)
+     */
+    async deleteDevice(userId, deviceId) {
+        return UserDevice.findOneAndDelete({ _id: deviceId, userId });
+    }
+
+    /**
+     * Delete all user devices
+     */
+    async deleteUserDevices(userId) {
+        return UserDevice.deleteMany({ userId });
+    }
+}
+
+module.exports = new DeviceService();
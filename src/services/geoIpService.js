@@ -0,0 +1,59 @@
+/**
+ * Country lookup from a local MaxMind / DB-IP mmdb file
+ *
+ * Path is set by GEOIP_DB_PATH (e.g. GeoLite2-Country.mmdb or dbip-country-lite.mmdb).
+ * The file is reloaded automatically when it changes on disk.
+ */
+
+const fs = require('fs');
+const maxmind = require('maxmind');
+const config = require('../../config');
+const logger = require('../utils/logger');
+
+class GeoIpService {
+    constructor() {
+        this.reader = null;
+    }
+
+    /**
+     * Open mmdb file (called on startup)
+     */
+    async init() {
+        const dbPath = config.GEOIP_DB_PATH;
+        if (!dbPath) return;
+
+        if (!fs.existsSync(dbPath)) {
+            logger.warn(`[GeoIP] Database not found: ${dbPath}, country rules are disabled`);
+            return;
+        }
+
+        try {
+            this.reader = await maxmind.open(dbPath, { watchForUpdates: true });
+            logger.info(`[GeoIP] Loaded ${dbPath}`);
+        } catch (err) {
+            logger.error(`[GeoIP] Failed to load ${dbPath}: ${err.message}`);
+        }
+    }
+
+    isAvailable() {
+        return !!this.reader;
+    }
+
+    /**
+     * ISO country code for IP (upper case) or null if unknown
+     */
+    lookupCountry(ip) {
+        if (!this.reader || !maxmind.validate(ip)) return null;
+
+        try {
+            const result = this.reader.get(ip);
+            const code = result?.country?.iso_code || result?.registered_country?.iso_code;
+            return code ? code.toUpperCase() : null;
+        } catch (err) {
+            logger.error(`[GeoIP] Lookup error for ${ip}: ${err.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = new GeoIpService();
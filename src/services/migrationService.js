@@ -0,0 +1,406 @@
+/**
+ * Import users from other panels: Marzban, 3x-ui, Hiddify-Manager
+ *
+ * Sources:
+ * - Marzban: db.sqlite3 or MySQL dump (users, jwt tables)
+ * - 3x-ui: x-ui.db (inbounds, client_traffics tables)
+ * - Hiddify-Manager: JSON backup ({ users: [...] })
+ *
+ * Users are mapped to import records and go through userTransferService.importUsers.
+ * Subscription tokens are kept where the source has static ones (3x-ui subId,
+ * Hiddify uuid). Marzban tokens are signed on the fly, so its secret key is saved
+ * and old tokens are verified in resolveLegacyToken.
+ */
+
+const crypto = require('crypto');
+const initSqlJs = require('sql.js');
+const HyUser = require('../models/hyUserModel');
+const Settings = require('../models/settingsModel');
+const userTransferService = require('./userTransferService');
+const { getSettings, invalidateSettingsCache } = require('../utils/helpers');
+const { parseSqlDump } = require('../utils/sqlDump');
+const logger = require('../utils/logger');
+
+const { TransferError } = userTransferService;
+
+const SOURCES = ['marzban', '3x-ui', 'hiddify'];
+
+// Tables read from SQLite files and dumps
+const TABLES = ['users', 'jwt', 'inbounds', 'client_traffics'];
+
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MARZBAN_RESET_STRATEGIES = {
+    no_reset: 'none',
+    day: 'daily',
+    week: 'weekly',
+    month: 'monthly',
+    year: 'yearly',
+};
+
+const HIDDIFY_RESET_STRATEGIES = {
+    no_reset: 'none',
+    daily: 'daily',
+    weekly: 'weekly',
+    monthly: 'monthly',
+    yearly: 'yearly',
+};
+
+// 3x-ui "reset" is a period in days
+const XUI_RESET_STRATEGIES = {
+    1: 'daily',
+    7: 'weekly',
+    30: 'monthly',
+    365: 'yearly',
+};
+
+let sqlJs = null;
+
+/**
+ * Naive datetime from SQLite/MySQL (stored in UTC) or unix seconds
+ */
+function parseUtcDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return new Date(value * 1000);
+    const str = String(value).trim();
+    if (/^\d+$/.test(str)) return new Date(Number(str) * 1000);
+    const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(str) ? str : `${str.replace(' ', 'T')}Z`);
+    return isNaN(date) ? null : date;
+}
+
+function toBytes(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return null;
+    }
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Decode Marzban subscription token without verifying it
+ * Formats: base64url("username,timestamp") + 10 chars of signature, or JWT (HS256)
+ */
+function parseMarzbanToken(token) {
+    if (typeof token !== 'string' || token.length < 15) return null;
+
+    if (token.startsWith('ey')) {
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+        const payload = parseJson(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        if (!payload || payload.access !== 'subscription' || !payload.sub) return null;
+        return {
+            username: String(payload.sub),
+            issuedAt: new Date(Number(payload.iat) * 1000),
+            signed: `${parts[0]}.${parts[1]}`,
+            signature: parts[2],
+            jwt: true,
+        };
+    }
+
+    const data = token.slice(0, -10);
+    if (!/^[A-Za-z0-9_-]+$/.test(data)) return null;
+    const match = Buffer.from(data, 'base64url').toString('utf8').match(/^([^,]+),(\d+)$/);
+    if (!match) return null;
+
+    return {
+        username: match[1],
+        issuedAt: new Date(Number(match[2]) * 1000),
+        signed: data,
+        signature: token.slice(-10),
+        jwt: false,
+    };
+}
+
+function verifyMarzbanToken(parsed, secret) {
+    const expected = parsed.jwt
+        ? crypto.createHmac('sha256', secret).update(parsed.signed).digest('base64url')
+        : crypto.createHash('sha256').update(parsed.signed + secret).digest('base64url').slice(0, 10);
+    return safeEqual(expected, parsed.signature);
+}
+
+class MigrationService {
+    /**
+     * Tables from SQLite file (sql.js, no native build)
+     */
+    async readSqlite(buffer) {
+        if (!sqlJs) sqlJs = await initSqlJs();
+
+        let db;
+        try {
+            db = new sqlJs.Database(new Uint8Array(buffer));
+        } catch (err) {
+            throw new TransferError(`Invalid SQLite file: ${err.message}`);
+        }
+
+        try {
+            const names = (db.exec('SELECT name FROM sqlite_master WHERE type = \'table\'')[0]?.values || [])
+                .map(row => row[0])
+                .filter(name => TABLES.includes(name));
+
+            const tables = {};
+            for (const name of names) {
+                const result = db.exec(`SELECT * FROM "${name}"`)[0];
+                tables[name] = result
+                    ? result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])))
+                    : [];
+            }
+            return tables;
+        } catch (err) {
+            throw new TransferError(`Cannot read SQLite file: ${err.message}`);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Detect source and read its data
+     * @param {Buffer} buffer - uploaded file
+     * @returns {Object} { source, tables } or { source, data } for JSON
+     */
+    async readSource(buffer, source) {
+        if (source && !SOURCES.includes(source)) {
+            throw new TransferError(`source must be one of: ${SOURCES.join(', ')}`);
+        }
+        if (!buffer || buffer.length === 0) throw new TransferError('File is empty');
+
+        if (buffer.subarray(0, SQLITE_HEADER.length).toString('latin1') === SQLITE_HEADER) {
+            const tables = await this.readSqlite(buffer);
+            return { source: source || this.detectSource(tables), tables };
+        }
+
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+
+        if (text.startsWith('{') || text.startsWith('[')) {
+            const data = parseJson(text);
+            if (!data) throw new TransferError('Invalid JSON file');
+            return { source: source || 'hiddify', data };
+        }
+
+        let tables;
+        try {
+            tables = parseSqlDump(text, TABLES);
+        } catch (err) {
+            throw new TransferError(`Invalid SQL dump: ${err.message}`);
+        }
+        return { source: source || this.detectSource(tables), tables };
+    }
+
+    detectSource(tables) {
+        if (tables.inbounds) return '3x-ui';
+        if (tables.users && (tables.users.length === 0 || 'data_limit' in tables.users[0])) return 'marzban';
+        throw new TransferError('Unknown database: expected Marzban (users) or 3x-ui (inbounds) tables');
+    }
+
+    /**
+     * Marzban users -> import records
+     * @returns {Object} { records, secretKey, linksValidSince: Map<userId, Date> }
+     */
+    mapMarzban(tables) {
+        if (!tables?.users) throw new TransferError('Marzban users table not found');
+
+        const linksValidSince = new Map();
+
+        const records = tables.users.map(user => {
+            const expireAt = parseUtcDate(user.expire);
+            // on_hold: expiry starts on first connection, duration is in seconds
+            const onHoldSeconds = user.status === 'on_hold' ? Number(user.on_hold_expire_duration) || 0 : 0;
+
+            const createdAt = parseUtcDate(user.created_at);
+            const revokedAt = parseUtcDate(user.sub_revoked_at);
+            const validSince = [createdAt, revokedAt].filter(Boolean).sort((a, b) => b - a)[0] || null;
+            linksValidSince.set(String(user.username), validSince);
+
+            return {
+                userId: user.username,
+                username: user.username,
+                note: user.note || '',
+                enabled: user.status !== 'disabled',
+                trafficLimit: toBytes(user.data_limit),
+                trafficTx: 0,
+                trafficRx: toBytes(user.used_traffic),
+                expireAt: expireAt ? expireAt.toISOString() : '',
+                onHoldDays: onHoldSeconds > 0 ? Math.ceil(onHoldSeconds * 1000 / DAY_MS) : 0,
+                trafficResetStrategy: MARZBAN_RESET_STRATEGIES[user.data_limit_reset_strategy] || 'none',
+            };
+        });
+
+        const secretKey = tables.jwt?.[0]?.secret_key || '';
+
+        return { records, secretKey, linksValidSince };
+    }
+
+    /**
+     * 3x-ui clients (from inbound settings JSON + client_traffics) -> import records
+     * A client with the same email in several inbounds becomes one user.
+     */
+    map3xui(tables) {
+        if (!tables?.inbounds) throw new TransferError('3x-ui inbounds table not found');
+
+        const traffics = new Map((tables.client_traffics || []).map(t => [t.email, t]));
+        const clients = new Map();
+
+        for (const inbound of tables.inbounds) {
+            const settings = parseJson(inbound.settings);
+            for (const client of settings?.clients || []) {
+                if (client.email && !clients.has(client.email)) clients.set(client.email, client);
+            }
+        }
+
+        const records = [...clients.values()].map(client => {
+            const traffic = traffics.get(client.email) || {};
+            const expiryTime = Number(traffic.expiry_time ?? client.expiryTime) || 0;
+
+            // Negative expiry = duration that starts on first connection
+            const expireAt = expiryTime > 0 ? new Date(expiryTime).toISOString() : '';
+            const onHoldDays = expiryTime < 0 ? Math.ceil(-expiryTime / DAY_MS) : 0;
+
+            const enabled = traffic.enable !== undefined ? !!traffic.enable : client.enable !== false;
+
+            return {
+                userId: client.email,
+                username: client.email,
+                note: client.comment || '',
+                enabled,
+                trafficLimit: toBytes(traffic.total ?? client.totalGB),
+                trafficTx: toBytes(traffic.up),
+                trafficRx: toBytes(traffic.down),
+                maxDevices: Math.max(0, parseInt(client.limitIp) || 0),
+                expireAt,
+                onHoldDays,
+                trafficResetStrategy: XUI_RESET_STRATEGIES[Number(traffic.reset ?? client.reset)] || 'none',
+                subscriptionToken: client.subId || '',
+            };
+        });
+
+        return { records };
+    }
+
+    /**
+     * Hiddify-Manager backup users -> import records
+     */
+    mapHiddify(data) {
+        const users = Array.isArray(data) ? data : data?.users;
+        if (!Array.isArray(users)) throw new TransferError('Hiddify backup must contain users');
+
+        const GB = 1024 * 1024 * 1024;
+
+        const records = users.map(user => {
+            const days = Number(user.package_days) || 0;
+            // Package starts on first connection if start_date is empty
+            const start = user.start_date ? parseUtcDate(user.start_date) : null;
+            const expireAt = days > 0 && start ? new Date(start.getTime() + days * DAY_MS).toISOString() : '';
+            const onHoldDays = days > 0 && !user.start_date ? days : 0;
+
+            const limit = user.usage_limit !== undefined ? Number(user.usage_limit) : Number(user.usage_limit_GB) * GB;
+            const usage = user.current_usage !== undefined ? Number(user.current_usage) : Number(user.current_usage_GB) * GB;
+
+            return {
+                userId: user.uuid,
+                username: user.name || '',
+                note: user.comment || '',
+                enabled: user.enable !== false && user.enable !== 0,
+                trafficLimit: toBytes(limit),
+                trafficTx: 0,
+                trafficRx: toBytes(usage),
+                maxDevices: Math.max(0, parseInt(user.max_ips) || 0),
+                expireAt,
+                onHoldDays,
+                trafficResetStrategy: HIDDIFY_RESET_STRATEGIES[user.mode] || 'none',
+                subscriptionToken: user.uuid || '',
+            };
+        });
+
+        return { records };
+    }
+
+    /**
+     * Import users from another panel
+     * @param {Buffer} buffer - uploaded database / dump / backup
+     * @param {Object} options - { source?, dryRun, mode } (see userTransferService.importUsers)
+     * @returns {Object} import report with source
+     */
+    async importPanel(buffer, { source, dryRun = false, mode = 'create' } = {}) {
+        const input = await this.readSource(buffer, source);
+        let mapped;
+        switch (input.source) {
+            case 'marzban': mapped = this.mapMarzban(input.tables); break;
+            case '3x-ui': mapped = this.map3xui(input.tables); break;
+            default: mapped = this.mapHiddify(input.data);
+        }
+
+        const report = await userTransferService.importUsers(mapped.records, { dryRun, mode });
+
+        if (!dryRun) {
+            const userIds = [...report.created, ...report.updated];
+
+            if (userIds.length > 0) {
+                await HyUser.bulkWrite(userIds.map(userId => ({
+                    updateOne: {
+                        filter: { userId },
+                        update: {
+                            $set: {
+                                migratedFrom: {
+                                    panel: input.source,
+                                    linksValidSince: mapped.linksValidSince?.get(userId) || null,
+                                },
+                            },
+                        },
+                    },
+                })), { ordered: false });
+            }
+
+            if (mapped.secretKey) {
+                // Added, not replaced: links from earlier imports keep working
+                await Settings.findByIdAndUpdate('settings', { $addToSet: { 'migration.marzbanSecretKeys': mapped.secretKey } }, { upsert: true });
+                await invalidateSettingsCache();
+            }
+
+            logger.info(`[Migration] ${input.source}: created ${report.created.length}, updated ${report.updated.length}, skipped ${report.skipped.length}`);
+        }
+
+        return { source: input.source, total: mapped.records.length, ...report };
+    }
+
+    /**
+     * Native subscription token for an old Marzban link
+     * @returns {Object|null} { token, state: active | changed }, null if token is not a valid Marzban token of a migrated user
+     */
+    async resolveLegacyToken(token) {
+        // Cheap format check first, so regular tokens don't load settings
+        const parsed = parseMarzbanToken(token);
+        if (!parsed) return null;
+
+        const settings = await getSettings();
+        const secrets = settings?.migration?.marzbanSecretKeys || [];
+        if (!secrets.some(secret => verifyMarzbanToken(parsed, secret))) return null;
+
+        const user = await HyUser.findOne({ userId: parsed.username, 'migratedFrom.panel': 'marzban' })
+            .select('subscriptionToken migratedFrom')
+            .lean();
+        if (!user) return null;
+
+        const validSince = user.migratedFrom.linksValidSince;
+        if (validSince && parsed.issuedAt < new Date(validSince)) return null;
+
+        const revokedAt = user.migratedFrom.linksRevokedAt;
+        const state = revokedAt && new Date(revokedAt) <= new Date() ? 'changed' : 'active';
+
+        return { token: user.subscriptionToken, state };
+    }
+}
+
+module.exports = new MigrationService();
+module.exports.SOURCES = SOURCES;
@@ -7,6 +7,8 @@ const logger = require('../utils/logger');
 const config = require('../../config');
 const cryptoService = require('./cryptoService');
 const Settings = require('../models/settingsModel');
+const HyNode = require('../models/hyNodeModel');
+const syncService = require('./syncService');
 
 /**
  * Generate Hysteria config for node
@@ -320,8 +322,9 @@ async function setupNode(node, options = {}) {
     const settings = await Settings.get();
     const authInsecure = settings?.nodeAuth?.insecure ?? true;
     
-    const authUrl = `${config.BASE_URL}/api/auth`;
-    log(`Auth URL: ${authUrl} (insecure: ${authInsecure})`);
+    await HyNode.ensureAuthToken(node);
+    const authUrl = syncService.getAuthUrl(node);
+    log(`Auth URL: ${config.BASE_URL}/api/auth/*** (insecure: ${authInsecure})`);
     
     let conn;
     
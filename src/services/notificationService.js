@@ -0,0 +1,242 @@
+/**
+ * Admin notifications: node failures, SSH errors, backups
+ *
+ * Channels (Telegram bot, SMTP email, HTTP POST) are configured in settings,
+ * each with its own list of events. notify() never throws and doesn't wait
+ * for delivery.
+ *
+ * Anti-spam (in memory, per panel process):
+ * - de-duplication: the same event for the same subject (node) is sent once per dedupMinutes
+ * - rate limit: at most maxPerHour messages per channel, dropped ones are counted
+ *   and reported with the next message that goes through
+ *
+ * Callers pass errors that are safe to send out (backups pass only the failed step,
+ * the exec error contains MONGO_URI); they are cut to MAX_ERROR_LENGTH.
+ */
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const Settings = require('../models/settingsModel');
+const { getSettings } = require('../utils/helpers');
+const { t } = require('../middleware/i18n');
+const config = require('../../config');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = 10000;
+// SSH / sync errors can be long (stderr, stack of causes)
+const MAX_ERROR_LENGTH = 300;
+
+/**
+ * Channel adapters: isConfigured(channelSettings), send(channelSettings, message)
+ * message: { event, title, text, data, timestamp }
+ */
+const adapters = {
+    telegram: {
+        isConfigured: (channel) => Boolean(channel.botToken && channel.chatId),
+        async send(channel, message) {
+            await axios.post(`https://api.telegram.org/bot${channel.botToken}/sendMessage`, {
+                chat_id: channel.chatId,
+                text: message.text,
+                disable_web_page_preview: true,
+            }, { timeout: TIMEOUT_MS });
+        },
+    },
+
+    email: {
+        isConfigured: (channel) => Boolean(channel.host && channel.to),
+        async send(channel, message) {
+            const transport = nodemailer.createTransport({
+                host: channel.host,
+                port: channel.port || 587,
+                secure: Boolean(channel.secure),
+                auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined,
+                connectionTimeout: TIMEOUT_MS,
+            });
+            await transport.sendMail({
+                from: channel.from || channel.user,
+                to: channel.to,
+                subject: `[${config.PANEL_DOMAIN}] ${message.title}`,
+                text: message.text,
+            });
+        },
+    },
+
+    http: {
+        isConfigured: (channel) => Boolean(channel.url),
+        async send(channel, message) {
+            await axios.post(channel.url, { ...message, panel: config.BASE_URL }, { timeout: TIMEOUT_MS });
+        },
+    },
+};
+
+// Channels that can deliver to an arbitrary address (sendTo)
+const DIRECT_ADDRESS_FIELDS = { telegram: 'chatId', email: 'to' };
+
+function format(template, data) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (data[key] !== undefined ? String(data[key]) : ''));
+}
+
+function truncateError(data) {
+    if (typeof data.error !== 'string' || data.error.length <= MAX_ERROR_LENGTH) return data;
+    return { ...data, error: `${data.error.slice(0, MAX_ERROR_LENGTH)}…` };
+}
+
+class NotificationService {
+    constructor() {
+        // `${event}:${subject}` -> last sent time
+        this.lastSent = new Map();
+        // channel -> { windowStart, count, suppressed }
+        this.rate = new Map();
+    }
+
+    get channels() {
+        return Object.keys(adapters);
+    }
+
+    /**
+     * Send event to channels subscribed to it
+     * @param {string} event - one of Settings.NOTIFICATION_EVENTS
+     * @param {Object} data - message placeholders ({ name, error, filename, size })
+     * @param {string} subject - de-duplication key within event (node id), '' = event itself
+     */
+    notify(event, data = {}, subject = '') {
+        this.dispatch(event, data, String(subject)).catch(error => {
+            logger.error(`[Notify] ${event} error: ${error.message}`);
+        });
+    }
+
+    async dispatch(event, data, subject, now = Date.now()) {
+        const settings = (await getSettings())?.notifications;
+        if (!settings) return;
+
+        const targets = this.channels.filter(name => {
+            const channel = settings[name];
+            return channel?.enabled && (channel.events || []).includes(event) && adapters[name].isConfigured(channel);
+        });
+        if (targets.length === 0) return;
+
+        const key = `${event}:${subject}`;
+        const dedupMs = (settings.dedupMinutes ?? 30) * 60 * 1000;
+        if (now - (this.lastSent.get(key) || 0) < dedupMs) {
+            logger.debug(`[Notify] ${key} suppressed (duplicate)`);
+            return;
+        }
+        this.lastSent.set(key, now);
+        this.pruneLastSent(now, dedupMs);
+
+        const message = this.buildMessage(event, truncateError(data), settings.lang);
+
+        await Promise.allSettled(targets.map(name => {
+            const suppressed = this.takeRateSlot(name, settings.maxPerHour || 20, now);
+            if (suppressed === null) {
+                logger.debug(`[Notify] ${name}: ${event} suppressed (rate limit)`);
+                return null;
+            }
+
+            const text = suppressed > 0
+                ? `${message.text}\n\n${format(t('notifications.suppressed', settings.lang), { count: suppressed })}`
+                : message.text;
+
+            return this.send(name, settings[name], { ...message, text });
+        }));
+    }
+
+    buildMessage(event, data, lang) {
+        const name = event.replace('.', '_');
+        return {
+            event,
+            title: t(`notifications.event_${name}`, lang),
+            text: format(t(`notifications.msg_${name}`, lang), data).trim(),
+            data,
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Count message against channel hourly limit
+     * @returns {number|null} messages suppressed since last sent one, null = over limit
+     */
+    takeRateSlot(name, maxPerHour, now) {
+        let state = this.rate.get(name);
+        if (!state || now - state.windowStart >= HOUR_MS) {
+            state = { windowStart: now, count: 0, suppressed: state?.suppressed || 0 };
+            this.rate.set(name, state);
+        }
+
+        if (state.count >= maxPerHour) {
+            state.suppressed++;
+            return null;
+        }
+
+        state.count++;
+        const suppressed = state.suppressed;
+        state.suppressed = 0;
+        return suppressed;
+    }
+
+    pruneLastSent(now, dedupMs) {
+        for (const [key, sentAt] of this.lastSent) {
+            if (now - sentAt >= dedupMs) this.lastSent.delete(key);
+        }
+    }
+
+    async send(name, channel, message) {
+        try {
+            await adapters[name].send(channel, message);
+            logger.info(`[Notify] ${name}: ${message.event} sent`);
+        } catch (error) {
+            logger.error(`[Notify] ${name}: ${message.event} failed - ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Message to someone else's address with a channel's saved credentials
+     * (Telegram bot token / SMTP server), whether the admin channel is enabled or not
+     * @param {string} name - telegram | email
+     * @param {Object} channelSettings - notifications[name] (plain object)
+     * @param {string} address - Telegram chat ID / email
+     * @returns {boolean} false if the channel has no credentials
+     */
+    async sendTo(name, channelSettings, address, message) {
+        const field = DIRECT_ADDRESS_FIELDS[name];
+        const channel = { ...channelSettings, [field]: address };
+        if (!field || !address || !adapters[name].isConfigured(channel)) return false;
+
+        await adapters[name].send(channel, { timestamp: new Date().toISOString(), data: {}, ...message });
+        return true;
+    }
+
+    /**
+     * Test message to one channel with saved settings (no filters, limits or de-duplication)
+     * @returns {Object} { success, error? }
+     */
+    async test(name) {
+        if (!adapters[name]) return { success: false, error: `Unknown channel: ${name}` };
+
+        const settings = (await Settings.get()).notifications;
+        const channel = settings[name];
+        if (!adapters[name].isConfigured(channel)) {
+            return { success: false, error: 'Channel is not configured' };
+        }
+
+        const message = {
+            event: 'test',
+            title: t('notifications.testTitle', settings.lang),
+            text: t('notifications.testText', settings.lang),
+            data: {},
+            timestamp: new Date().toISOString(),
+        };
+
+        try {
+            await this.send(name, channel, message);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = new NotificationService();
+module.exports.format = format;
@@ -0,0 +1,104 @@
+/**
+ * Online users across all nodes
+ *
+ * Every poll of node Stats API /online (syncService.getOnlineUsers) replaces the
+ * node's map in Redis: userId -> { connections, since }. "since" is kept from the
+ * previous poll while the user stays online, so it is accurate to the poll interval.
+ * Maps of nodes that stop answering expire by TTL.
+ */
+
+const HyNode = require('../models/hyNodeModel');
+const HyUser = require('../models/hyUserModel');
+const cache = require('./cacheService');
+
+class OnlineService {
+    /**
+     * Save node /online response
+     * @param {Object} online - { userId: connections }
+     */
+    async record(node, online, now = new Date()) {
+        const previous = (await cache.getNodesOnline([node._id]))?.get(String(node._id)) || {};
+
+        const sessions = {};
+        for (const [userId, connections] of Object.entries(online || {})) {
+            sessions[userId] = {
+                connections: Number(connections) || 0,
+                since: previous[userId]?.since || now.toISOString(),
+            };
+        }
+
+        await cache.setNodeOnline(node._id, sessions);
+    }
+
+    /**
+     * Online users of active nodes, merged by user
+     * @returns {Object|null} { users: [{ userId, username, enabled, connections, since, nodes: [{ _id, name, connections, since }] }], connections }
+     *   null if Redis is unavailable
+     */
+    async getOnlineUsers() {
+        const nodes = await HyNode.find({ active: true }).select('name').lean();
+        const byNode = await cache.getNodesOnline(nodes.map(n => n._id));
+        if (!byNode) return null;
+
+        const users = new Map();
+        let connections = 0;
+
+        for (const node of nodes) {
+            for (const [userId, session] of Object.entries(byNode.get(String(node._id)) || {})) {
+                if (!users.has(userId)) {
+                    users.set(userId, { userId, username: '', enabled: null, connections: 0, since: session.since, nodes: [] });
+                }
+                const user = users.get(userId);
+                user.connections += session.connections;
+                if (session.since < user.since) user.since = session.since;
+                user.nodes.push({ _id: node._id, name: node.name, ...session });
+                connections += session.connections;
+            }
+        }
+
+        const docs = await HyUser.find({ userId: { $in: [...users.keys()] } })
+            .select('userId username enabled')
+            .lean();
+        for (const doc of docs) {
+            Object.assign(users.get(doc.userId), { username: doc.username || '', enabled: doc.enabled });
+        }
+
+        const list = [...users.values()].sort((a, b) => b.connections - a.connections || a.since.localeCompare(b.since));
+        return { users: list, connections };
+    }
+
+    /**
+     * userIds online on any active node (for "online now" badges)
+     * @returns {Set}
+     */
+    async getOnlineUserIds() {
+        const nodes = await HyNode.find({ active: true }).select('_id').lean();
+        const byNode = await cache.getNodesOnline(nodes.map(n => n._id));
+
+        const ids = new Set();
+        for (const sessions of byNode?.values() || []) {
+            Object.keys(sessions).forEach(userId => ids.add(userId));
+        }
+        return ids;
+    }
+
+    /**
+     * Ids of nodes the user is online on
+     */
+    async getUserNodeIds(userId) {
+        const nodes = await HyNode.find({ active: true }).select('_id').lean();
+        const byNode = await cache.getNodesOnline(nodes.map(n => n._id));
+        if (!byNode) return [];
+
+        return nodes.filter(n => byNode.get(String(n._id))?.[userId]).map(n => n._id);
+    }
+
+    /**
+     * Drop user from node lists right after kick (next poll would do it too)
+     */
+    async forget(userId, nodeIds) {
+        await cache.removeNodeOnlineUser(nodeIds, userId);
+    }
+}
+
+module.exports = new OnlineService();
@@ -0,0 +1,210 @@
+/**
+ * Plans: validation and applying plan limits to users
+ */
+
+const mongoose = require('mongoose');
+const Plan = require('../models/planModel');
+const HyUser = require('../models/hyUserModel');
+const trafficResetService = require('./trafficResetService');
+const { invalidateUserCache, invalidateUsersCache } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const GB = 1024 * 1024 * 1024;
+
+class PlanService {
+    /**
+     * Find plan by id (null for invalid id)
+     */
+    async getPlan(id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+        return Plan.findById(id);
+    }
+
+    /**
+     * Validate plan fields from API / panel form
+     * Traffic can be given in bytes (trafficLimit) or GB (trafficLimitGB)
+     * @param {Object} input
+     * @param {boolean} partial - only fields present in input (update)
+     * @throws {Error} on invalid value
+     */
+    normalizeInput(input = {}, partial = false) {
+        const data = {};
+        const has = (field) => input[field] !== undefined && input[field] !== '';
+
+        if (!partial || has('name')) {
+            const name = String(input.name || '').trim();
+            if (!name) throw new Error('name is required');
+            data.name = name;
+        }
+
+        if (has('description')) {
+            data.description = String(input.description);
+        }
+
+        if (has('trafficLimitGB')) {
+            data.trafficLimit = Math.round(parseFloat(input.trafficLimitGB) * GB);
+        } else if (has('trafficLimit')) {
+            data.trafficLimit = parseInt(input.trafficLimit);
+        } else if (!partial) {
+            data.trafficLimit = 0;
+        }
+        if (data.trafficLimit !== undefined && (isNaN(data.trafficLimit) || data.trafficLimit < 0)) {
+            throw new Error('trafficLimit must be >= 0');
+        }
+
+        if (!partial || has('durationDays')) {
+            data.durationDays = has('durationDays') ? parseInt(input.durationDays) : 30;
+            if (isNaN(data.durationDays) || data.durationDays < 0) {
+                throw new Error('durationDays must be >= 0');
+            }
+        }
+
+        if (!partial || has('maxDevices')) {
+            data.maxDevices = has('maxDevices') ? parseInt(input.maxDevices) : 0;
+            if (isNaN(data.maxDevices) || data.maxDevices < -1) {
+                throw new Error('maxDevices must be >= -1');
+            }
+        }
+
+        if (!partial || input.groups !== undefined) {
+            const groups = input.groups ? (Array.isArray(input.groups) ? input.groups : [input.groups]) : [];
+            const invalid = groups.find(id => !mongoose.Types.ObjectId.isValid(id));
+            if (invalid) throw new Error(`Invalid group id: ${invalid}`);
+            data.groups = groups;
+        }
+
+        if (!partial || has('trafficResetStrategy')) {
+            data.trafficResetStrategy = input.trafficResetStrategy || 'none';
+            if (!Plan.TRAFFIC_RESET_STRATEGIES.includes(data.trafficResetStrategy)) {
+                throw new Error(`trafficResetStrategy must be one of: ${Plan.TRAFFIC_RESET_STRATEGIES.join(', ')}`);
+            }
+        }
+
+        if (input.active !== undefined) {
+            data.active = input.active === true || input.active === 'true' || input.active === 'on';
+        }
+
+        return data;
+    }
+
+    /**
+     * User fields that come from plan (without expiry)
+     */
+    getLimits(plan) {
+        return {
+            plan: plan._id,
+            trafficLimit: plan.trafficLimit,
+            maxDevices: plan.maxDevices,
+            groups: plan.groups.map(g => g._id || g),
+            trafficResetStrategy: plan.trafficResetStrategy,
+            // Rescheduled by the reset job
+            nextTrafficReset: null,
+        };
+    }
+
+    /**
+     * Expiry date: durationDays from `from` (null if plan has no duration)
+     */
+    calcExpireAt(plan, from = new Date()) {
+        if (!plan.durationDays) return null;
+
+        const expireAt = new Date(from);
+        expireAt.setDate(expireAt.getDate() + plan.durationDays);
+        return expireAt;
+    }
+
+    /**
+     * Fields for a new user created from plan
+     */
+    getNewUserFields(plan) {
+        return {
+            ...this.getLimits(plan),
+            expireAt: this.calcExpireAt(plan),
+        };
+    }
+
+    /**
+     * Renew user from plan: apply limits, extend expiry, reset traffic, enable
+     * Unexpired time is kept: new period starts from current expireAt if it's in the future
+     * @returns {Object|null} updated user
+     */
+    async renewUser(userId, plan, { resetTraffic = true } = {}) {
+        const user = await HyUser.findOne({ userId });
+        if (!user) return null;
+
+        const now = new Date();
+        const from = user.expireAt && user.expireAt > now ? user.expireAt : now;
+
+        const updates = {
+            ...this.getLimits(plan),
+            expireAt: this.calcExpireAt(plan, from),
+            enabled: true,
+        };
+
+        // Not connected yet: the plan adds to the hold, expiry starts on first connection
+        if (HyUser.isOnHold(user) && plan.durationDays) {
+            updates.expireAt = null;
+            updates['onHold.durationDays'] = user.onHold.durationDays + plan.durationDays;
+        }
+
+        if (resetTraffic) {
+            updates['traffic.tx'] = 0;
+            updates['traffic.rx'] = 0;
+            updates.lastTrafficReset = now;
+        }
+
+        const updated = await HyUser.findOneAndUpdate(
+            { userId },
+            { $set: updates },
+            { new: true }
+        );
+
+        if (resetTraffic) {
+            await trafficResetService.recordHistory(user, 'renew', now);
+        }
+
+        await invalidateUserCache(userId, user.subscriptionToken, user.credentials);
+
+        const until = updates['onHold.durationDays']
+            ? `${updates['onHold.durationDays']} days from first connection`
+            : (updates.expireAt ? updates.expireAt.toISOString() : 'forever');
+        logger.info(`[Plans] Renewed ${userId} with plan "${plan.name}" until ${until}`);
+
+        return updated;
+    }
+
+    /**
+     * Apply plan limits to all its members (expiry is not touched)
+     * @returns {number} updated users count
+     */
+    async cascade(plan) {
+        const members = await HyUser.find({ plan: plan._id })
+            .select('userId subscriptionToken credentials.token')
+            .lean();
+
+        if (members.length === 0) return 0;
+
+        await HyUser.updateMany({ plan: plan._id }, { $set: this.getLimits(plan) });
+        await invalidateUsersCache(members);
+
+        logger.info(`[Plans] Plan "${plan.name}" applied to ${members.length} users`);
+
+        return members.length;
+    }
+
+    /**
+     * Delete plan, members keep their limits
+     */
+    async deletePlan(planId) {
+        const plan = await Plan.findByIdAndDelete(planId);
+        if (!plan) return null;
+
+        await HyUser.updateMany({ plan: plan._id }, { $set: { plan: null } });
+
+        logger.info(`[Plans] Deleted plan "${plan.name}"`);
+
+        return plan;
+    }
+}
+
+module.exports = new PlanService();
@@ -0,0 +1,140 @@
+/**
+ * Connection session history
+ *
+ * Each node /online poll is compared with the node's open sessions:
+ * new users open a session, users that are gone close theirs, the rest
+ * get lastSeenAt updated. Sessions of nodes that stop answering are closed
+ * at their lastSeenAt by closeStale.
+ */
+
+const UserSession = require('../models/userSessionModel');
+const { getSettings } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open session not seen for this long is closed (node unreachable / removed)
+const STALE_MS = 5 * 60 * 1000;
+
+const MAX_LIMIT = 500;
+
+class SessionService {
+    /**
+     * Diff node /online response with open sessions
+     * @param {Object} online - { userId: connections }
+     */
+    async record(node, online, now = new Date()) {
+        try {
+            const settings = await getSettings();
+            if (settings?.sessionHistory?.enabled === false) return;
+
+            const current = new Map(Object.entries(online || {}).map(([userId, c]) => [userId, Number(c) || 1]));
+            const open = await UserSession.find({ node: node._id, endedAt: null })
+                .select('userId connections')
+                .lean();
+
+            const ops = [];
+            const openUsers = new Set();
+
+            for (const session of open) {
+                openUsers.add(session.userId);
+                const connections = current.get(session.userId);
+
+                if (connections === undefined) {
+                    ops.push({ updateOne: { filter: { _id: session._id }, update: { $set: { endedAt: now } } } });
+                } else {
+                    ops.push({
+                        updateOne: {
+                            filter: { _id: session._id },
+                            update: { $set: { lastSeenAt: now }, $max: { connections } },
+                        },
+                    });
+                }
+            }
+
+            for (const [userId, connections] of current) {
+                if (openUsers.has(userId)) continue;
+                ops.push({
+                    insertOne: {
+                        document: { userId, node: node._id, startedAt: now, lastSeenAt: now, connections },
+                    },
+                });
+            }
+
+            if (ops.length > 0) {
+                await UserSession.bulkWrite(ops, { ordered: false });
+            }
+        } catch (error) {
+            logger.error(`[Sessions] ${node.name} record error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Close sessions not confirmed by recent polls
+     */
+    async closeStale(now = new Date()) {
+        try {
+            const result = await UserSession.updateMany(
+                { endedAt: null, lastSeenAt: { $lt: new Date(now.getTime() - STALE_MS) } },
+                [{ $set: { endedAt: '$lastSeenAt' } }]
+            );
+            if (result.modifiedCount > 0) {
+                logger.info(`[Sessions] Closed ${result.modifiedCount} stale sessions`);
+            }
+        } catch (error) {
+            logger.error(`[Sessions] Close stale error: ${error.message}`);
+        }
+    }
+
+    /**
+     * User sessions, newest first
+     * @param {Object} options - { from?, to?, limit? }
+     * @returns {Array} [{ _id, node: { _id, name } | null, startedAt, endedAt, lastSeenAt, connections, duration }]
+     */
+    async getUserSessions(userId, { from, to, limit = 50 } = {}) {
+        const filter = { userId };
+        if (from || to) {
+            filter.startedAt = {};
+            if (from) filter.startedAt.$gte = new Date(from);
+            if (to) filter.startedAt.$lte = new Date(to);
+        }
+
+        const sessions = await UserSession.find(filter)
+            .sort({ startedAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, MAX_LIMIT))
+            .populate('node', 'name')
+            .lean();
+
+        return sessions.map(session => ({ ...session, duration: UserSession.getDuration(session) }));
+    }
+
+    /**
+     * Delete sessions of removed users
+     * @param {string|Array<string>} userIds
+     */
+    async deleteUserSessions(userIds) {
+        return UserSession.deleteMany({ userId: { $in: [].concat(userIds) } });
+    }
+
+    /**
+     * Remove sessions older than retention from settings
+     */
+    async cleanup() {
+        try {
+            const settings = await getSettings();
+            const days = settings?.sessionHistory?.retentionDays || 30;
+
+            const result = await UserSession.deleteMany({
+                endedAt: { $ne: null },
+                startedAt: { $lt: new Date(Date.now() - days * DAY_MS) },
+            });
+
+            logger.info(`[Sessions] Cleanup: ${result.deletedCount} sessions`);
+            return result.deletedCount;
+        } catch (error) {
+            logger.error(`[Sessions] Cleanup error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new SessionService();
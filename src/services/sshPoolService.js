@@ -13,6 +13,7 @@
 const { Client } = require('ssh2');
 const logger = require('../utils/logger');
 const cryptoService = require('./cryptoService');
+const notificationService = require('./notificationService');
 
 class SSHPool {
     constructor() {
@@ -186,6 +187,7 @@ class SSHPool {
                         }
                     } else {
                         logger.error(`[SSHPool] ✗ Failed: ${nodeName} - ${err.message}`);
+                        notificationService.notify('ssh.error', { name: nodeName, error: err.message }, nodeId);
                         reject(err);
                     }
                 })
@@ -0,0 +1,81 @@
+/**
+ * Subscription token rotation
+ *
+ * The old token is kept in revokedTokens: during the grace period it still
+ * serves the subscription, after that it answers "link changed" instead of 404.
+ */
+
+const HyUser = require('../models/hyUserModel');
+const { getSettings, invalidateUserCache } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Older revoked tokens are forgotten (answer 404)
+const MAX_REVOKED_TOKENS = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SubscriptionTokenService {
+    /**
+     * State of the token the user was found by
+     * @returns {string} active | grace | changed
+     */
+    getTokenState(user, token, now = new Date()) {
+        if (token === user.subscriptionToken) return 'active';
+
+        const revoked = (user.revokedTokens || []).find(t => t.token === token);
+        if (!revoked) return 'active';
+
+        return revoked.graceUntil && new Date(revoked.graceUntil) > now ? 'grace' : 'changed';
+    }
+
+    /**
+     * Issue new subscription token
+     * @param {Object} options - { graceHours } (default from settings)
+     * @returns {Object|null} { userId, subscriptionToken, previousToken, graceUntil } or null if user not found
+     */
+    async rotateToken(userId, { graceHours } = {}) {
+        const user = await HyUser.findOne({ userId })
+            .select('userId subscriptionToken credentials.token migratedFrom')
+            .lean();
+        if (!user) return null;
+
+        if (graceHours === undefined || graceHours === null || graceHours === '') {
+            const settings = await getSettings();
+            graceHours = settings?.subscription?.tokenGraceHours || 0;
+        }
+        graceHours = Math.max(0, Number(graceHours) || 0);
+
+        const now = new Date();
+        const graceUntil = graceHours > 0 ? new Date(now.getTime() + graceHours * HOUR_MS) : null;
+        const subscriptionToken = HyUser.generateSubscriptionToken(user.userId);
+
+        const update = {
+            $set: { subscriptionToken },
+            $push: {
+                revokedTokens: {
+                    $each: [{ token: user.subscriptionToken, revokedAt: now, graceUntil }],
+                    $slice: -MAX_REVOKED_TOKENS,
+                },
+            },
+        };
+
+        // Old Marzban links are revoked together with the first rotation
+        if (user.migratedFrom?.panel === 'marzban' && !user.migratedFrom.linksRevokedAt) {
+            update.$set['migratedFrom.linksRevokedAt'] = graceUntil || now;
+        }
+
+        await HyUser.updateOne({ _id: user._id }, update);
+        await invalidateUserCache(user.userId, user.subscriptionToken, user.credentials, { dashboard: false });
+
+        logger.info(`[Token] Rotated subscription token of ${user.userId}${graceUntil ? `, old link works until ${graceUntil.toISOString()}` : ''}`);
+
+        return {
+            userId: user.userId,
+            subscriptionToken,
+            previousToken: user.subscriptionToken,
+            graceUntil,
+        };
+    }
+}
+
+module.exports = new SubscriptionTokenService();
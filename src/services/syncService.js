@@ -6,7 +6,8 @@
  * This service handles:
  * - Node config updates
  * - Traffic stats collection
- * - Node health checks
+ * - Kicking users over traffic limit / expired
+ * - Node health checks and online users
  */
 
 const HyUser = require('../models/hyUserModel');
@@ -15,7 +16,13 @@ const Settings = require('../models/settingsModel');
 const NodeSSH = require('./nodeSSH');
 const configGenerator = require('./configGenerator');
 const cache = require('./cacheService');
+const userTrafficService = require('./userTrafficService');
+const onlineService = require('./onlineService');
+const sessionService = require('./sessionService');
+const webhookService = require('./webhookService');
+const notificationService = require('./notificationService');
 const logger = require('../utils/logger');
+const { getSettings, invalidateUsersCache, isNodeAllowedForUser } = require('../utils/helpers');
 const axios = require('axios');
 const config = require('../../config');
 
@@ -23,12 +30,18 @@ class SyncService {
     constructor() {
         this.isSyncing = false;
         this.lastSyncTime = null;
+        // nodeId -> Stats API answered on last poll (for node.online / node.offline events)
+        this.nodeReachable = new Map();
     }
 
     /**
-     * Get HTTP auth URL
+     * Get HTTP auth URL for node
+     * Node token in path lets auth endpoint identify which node is asking
      */
-    getAuthUrl() {
+    getAuthUrl(node) {
+        if (node?.authToken) {
+            return `${config.BASE_URL}/api/auth/${node.authToken}`;
+        }
         return `${config.BASE_URL}/api/auth`;
     }
 
@@ -65,7 +78,8 @@ class SyncService {
                 if (node.useCustomConfig) {
                     logger.warn(`[Sync] Custom config for ${node.name} is empty or too short, using auto-generation`);
                 }
-                const authUrl = this.getAuthUrl();
+                await HyNode.ensureAuthToken(node);
+                const authUrl = this.getAuthUrl(node);
                 const settings = await Settings.get();
                 const authInsecure = settings?.nodeAuth?.insecure ?? true;
                 configContent = configGenerator.generateNodeConfig(node, authUrl, { authInsecure });
@@ -76,6 +90,10 @@ class SyncService {
             
             if (success) {
                 const isRunning = await ssh.checkHysteriaStatus();
+                if (!isRunning) {
+                    webhookService.emitNode('node.sync_failed', node, { error: 'Service not running after sync' });
+                    notificationService.notify('node.sync_failed', { name: node.name, error: 'Service not running after sync' }, node._id);
+                }
                 
                 await HyNode.updateOne(
                     { _id: node._id },
@@ -95,6 +113,8 @@ class SyncService {
             }
         } catch (error) {
             logger.error(`[Sync] Node ${node.name} error: ${error.message}`);
+            webhookService.emitNode('node.sync_failed', node, { error: error.message });
+            notificationService.notify('node.sync_failed', { name: node.name, error: error.message }, node._id);
             await HyNode.updateOne(
                 { _id: node._id },
                 { $set: { status: 'error', lastError: error.message } }
@@ -187,6 +207,9 @@ class SyncService {
                 logger.debug(`[Stats] ${node.name}: Bulk updated ${result.modifiedCount}/${bulkOps.length} users`);
             }
             
+            // Daily/hourly usage for user traffic charts and per-node breakdown
+            await userTrafficService.record(node._id, stats, now);
+            
             // Update node traffic
             await HyNode.updateOne(
                 { _id: node._id },
@@ -230,6 +253,12 @@ class SyncService {
                 { $set: { onlineUsers: online, status: 'online' } }
             );
             
+            // Per-user map for the online users page and connection history
+            await onlineService.record(node, response.data);
+            await sessionService.record(node, response.data);
+            
+            this.setNodeReachable(node, true);
+            
             if (online > 0) {
                 logger.info(`[Stats] ${node.name}: ${online} online`);
             }
@@ -244,38 +273,151 @@ class SyncService {
                 { _id: node._id },
                 { $set: { lastError: `Stats: ${error.message}` } }
             );
+            
+            this.setNodeReachable(node, false, error.message);
             return 0;
         }
     }
 
     /**
-     * Kick user from all nodes
+     * Emit node.online / node.offline (webhooks, admin notifications) when Stats API availability changes.
+     * Before the first poll after start the stored status is the previous state.
      */
-    async kickUser(userId) {
-        const user = await HyUser.findOne({ userId }).populate('nodes', 'name ip statsPort statsSecret');
+    setNodeReachable(node, reachable, error = '') {
+        const id = String(node._id);
+        const previous = this.nodeReachable.has(id) ? this.nodeReachable.get(id) : node.status === 'online';
+        this.nodeReachable.set(id, reachable);
+        
+        if (previous === reachable) return;
+        
+        if (reachable) {
+            webhookService.emitNode('node.online', node, { status: 'online' });
+            notificationService.notify('node.online', { name: node.name }, node._id);
+        } else {
+            logger.warn(`[Stats] ${node.name}: went offline`);
+            webhookService.emitNode('node.offline', node, { error });
+            notificationService.notify('node.offline', { name: node.name, error }, node._id);
+        }
+    }
+
+    /**
+     * Kick user from all nodes (or one node)
+     * Nodes: assigned to user + nodes where user is online now (most users get nodes by groups)
+     */
+    async kickUser(userId, nodeId = null) {
+        const user = await HyUser.findOne({ userId }).select('nodes').lean();
         
         if (!user) {
             return;
         }
         
-        for (const node of user.nodes) {
-            try {
-                if (!node.statsPort || !node.statsSecret) continue;
-                
-                const url = `http://${node.ip}:${node.statsPort}/kick`;
-                
-                await axios.post(url, [userId], {
-                    headers: {
-                        Authorization: node.statsSecret,
-                        'Content-Type': 'application/json',
-                    },
-                    timeout: 5000,
+        const nodeIds = nodeId
+            ? [nodeId]
+            : [...(user.nodes || []), ...await onlineService.getUserNodeIds(userId)];
+        
+        const nodes = await HyNode.find({ _id: { $in: nodeIds } }).select('name ip statsPort statsSecret');
+        for (const node of nodes) {
+            await this.kickFromNode(node, [userId]);
+        }
+        
+        await onlineService.forget(userId, nodes.map(n => n._id));
+    }
+
+    /**
+     * Kick users from node via Stats API
+     */
+    async kickFromNode(node, userIds) {
+        if (!node.statsPort || !node.statsSecret || userIds.length === 0) return;
+        
+        try {
+            const url = `http://${node.ip}:${node.statsPort}/kick`;
+            
+            await axios.post(url, userIds, {
+                headers: {
+                    Authorization: node.statsSecret,
+                    'Content-Type': 'application/json',
+                },
+                timeout: 5000,
+            });
+            
+            logger.info(`[Kick] ${userIds.join(', ')} kicked from ${node.name}`);
+        } catch (error) {
+            logger.error(`[Kick] Kick error on ${node.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Kick (and optionally disable) users who went over traffic limit or expired.
+     * Auth only refuses new connections, so without this they keep streaming until reconnect.
+     * Users are marked with enforcedAt and kicked once; the mark is cleared
+     * when they are back within limits (renew, traffic reset, new limit).
+     */
+    async enforceLimits() {
+        try {
+            const settings = await getSettings();
+            const enforcement = settings?.enforcement || {};
+            
+            if (enforcement.enabled === false) {
+                return;
+            }
+            
+            const now = new Date();
+            const overLimit = {
+                $expr: {
+                    $and: [
+                        { $gt: ['$trafficLimit', 0] },
+                        { $gte: [{ $add: ['$traffic.tx', '$traffic.rx'] }, HyUser.trafficLimitExpr(now)] },
+                    ]
+                }
+            };
+            const expired = { expireAt: { $lte: now } };
+            
+            await HyUser.updateMany(
+                { enforcedAt: { $ne: null }, $nor: [overLimit, expired] },
+                { $set: { enforcedAt: null } }
+            );
+            
+            const users = await HyUser.find({ enabled: true, enforcedAt: null, $or: [overLimit, expired] })
+                .select('userId username subscriptionToken credentials.token groups nodes expireAt trafficLimit traffic')
+                .lean();
+            
+            if (users.length === 0) {
+                return;
+            }
+            
+            const updates = { enforcedAt: now };
+            if (enforcement.disableUsers) {
+                updates.enabled = false;
+            }
+            
+            await HyUser.updateMany({ _id: { $in: users.map(u => u._id) } }, { $set: updates });
+            
+            for (const user of users) {
+                const isExpired = user.expireAt && user.expireAt <= now;
+                const reason = isExpired ? 'expired' : 'traffic limit exceeded';
+                logger.warn(`[Enforce] ${user.userId}: ${reason}${enforcement.disableUsers ? ', disabled' : ''}, kicking`);
+                webhookService.emitUser(isExpired ? 'user.expired' : 'user.quota_reached', user, {
+                    disabled: Boolean(enforcement.disableUsers),
                 });
-                
-                logger.info(`[Kick] ${userId} kicked from ${node.name}`);
-            } catch (error) {
-                logger.error(`[Kick] Kick error on ${node.name}: ${error.message}`);
             }
+            
+            // Cached auth data has old traffic/enabled values
+            await invalidateUsersCache(users);
+            
+            // Users are kicked from every node available to them (same check as auth)
+            // and from nodes where they are online now (access may have changed since connecting)
+            const nodes = await HyNode.find({ active: true }).select('name ip statsPort statsSecret groups');
+            const online = await cache.getNodesOnline(nodes.map(n => n._id)) || new Map();
+            
+            await Promise.allSettled(nodes.map(node => {
+                const nodeOnline = online.get(String(node._id)) || {};
+                const userIds = users
+                    .filter(u => nodeOnline[u.userId] || isNodeAllowedForUser(u, node))
+                    .map(u => u.userId);
+                return this.kickFromNode(node, userIds);
+            }));
+        } catch (error) {
+            logger.error(`[Enforce] Error: ${error.message}`);
         }
     }
 
@@ -0,0 +1,204 @@
+/**
+ * Periodic per-user traffic reset
+ *
+ * Users with trafficResetStrategy != 'none' get traffic.tx/rx zeroed when a period
+ * rolls over. Periods are counted from trafficResetAnchor (or createdAt), so a
+ * monthly user created on the 31st resets on the last day of shorter months.
+ *
+ * Usage before each reset is stored in TrafficHistory.
+ */
+
+const HyUser = require('../models/hyUserModel');
+const TrafficHistory = require('../models/trafficHistoryModel');
+const { invalidateUserCache } = require('../utils/helpers');
+const cache = require('./cacheService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * anchor + k periods (months/years are added from the anchor, not cumulatively,
+ * so clamping to a short month doesn't shift later periods)
+ */
+function addPeriods(anchor, strategy, k) {
+    const date = new Date(anchor);
+
+    switch (strategy) {
+        case 'daily':
+            date.setDate(date.getDate() + k);
+            return date;
+        case 'weekly':
+            date.setDate(date.getDate() + k * 7);
+            return date;
+        case 'monthly':
+        case 'yearly': {
+            const months = strategy === 'monthly' ? k : k * 12;
+            const day = date.getDate();
+            date.setDate(1);
+            date.setMonth(date.getMonth() + months);
+            const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            date.setDate(Math.min(day, daysInMonth));
+            return date;
+        }
+        default:
+            return null;
+    }
+}
+
+class TrafficResetService {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * First period boundary strictly after `after`
+     * @returns {Date|null} null for 'none'
+     */
+    getNextReset(strategy, anchor, after = new Date()) {
+        if (!strategy || strategy === 'none' || !anchor) return null;
+
+        const start = new Date(anchor);
+        const diff = after - start;
+
+        // Rough period count, then step to the exact boundary
+        let k;
+        switch (strategy) {
+            case 'daily': k = Math.floor(diff / DAY_MS); break;
+            case 'weekly': k = Math.floor(diff / (7 * DAY_MS)); break;
+            case 'monthly': k = (after.getFullYear() - start.getFullYear()) * 12 + after.getMonth() - start.getMonth(); break;
+            case 'yearly': k = after.getFullYear() - start.getFullYear(); break;
+            default: return null;
+        }
+        k = Math.max(0, k - 1);
+
+        let next = addPeriods(start, strategy, k);
+        while (next <= after) {
+            next = addPeriods(start, strategy, ++k);
+        }
+        return next;
+    }
+
+    getAnchor(user) {
+        return user.trafficResetAnchor || user.createdAt;
+    }
+
+    /**
+     * Store usage of the finished period
+     * @param {Object} user - state before reset (userId, traffic, lastTrafficReset, trafficResetStrategy)
+     */
+    async recordHistory(user, reason, periodEnd = new Date()) {
+        const tx = user.traffic?.tx || 0;
+        const rx = user.traffic?.rx || 0;
+
+        return TrafficHistory.create({
+            userId: user.userId,
+            tx,
+            rx,
+            strategy: user.trafficResetStrategy || 'none',
+            reason,
+            periodStart: user.lastTrafficReset || null,
+            periodEnd,
+        });
+    }
+
+    /**
+     * User traffic history (newest first)
+     */
+    async getHistory(userId, limit = 50) {
+        return TrafficHistory.find({ userId })
+            .sort({ periodEnd: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 500))
+            .lean();
+    }
+
+    /**
+     * Delete user traffic history
+     */
+    async deleteHistory(userId) {
+        return TrafficHistory.deleteMany({ userId });
+    }
+
+    /**
+     * Reset one user whose period has rolled over
+     * @returns {boolean} false if user changed concurrently (will be picked up next run)
+     */
+    async resetUser(user, now = new Date()) {
+        const next = this.getNextReset(user.trafficResetStrategy, this.getAnchor(user), now);
+
+        // Zero and read previous values in one step, so traffic added by stats
+        // collection in between is not lost from history
+        const previous = await HyUser.findOneAndUpdate(
+            { _id: user._id, nextTrafficReset: user.nextTrafficReset },
+            {
+                $set: {
+                    'traffic.tx': 0,
+                    'traffic.rx': 0,
+                    'traffic.lastUpdate': now,
+                    lastTrafficReset: now,
+                    nextTrafficReset: next,
+                }
+            },
+            { new: false }
+        ).select('userId subscriptionToken credentials.token traffic lastTrafficReset trafficResetStrategy');
+
+        if (!previous) return false;
+
+        await this.recordHistory(previous, 'scheduled', now);
+        await invalidateUserCache(previous.userId, previous.subscriptionToken, previous.credentials, { dashboard: false });
+
+        return true;
+    }
+
+    /**
+     * Schedule new users and reset users whose period has ended (cron)
+     */
+    async processDueResets() {
+        if (this.isRunning) {
+            logger.warn('[TrafficReset] Previous run still in progress');
+            return;
+        }
+
+        this.isRunning = true;
+
+        try {
+            const now = new Date();
+            const fields = 'userId subscriptionToken trafficResetStrategy trafficResetAnchor lastTrafficReset nextTrafficReset createdAt';
+
+            // Strategy or anchor changed: schedule the next boundary after now, so enabling
+            // a strategy doesn't reset immediately (even if the last reset was long ago)
+            const unscheduled = await HyUser.find({ trafficResetStrategy: { $ne: 'none' }, nextTrafficReset: null })
+                .select(fields)
+                .lean();
+
+            for (const user of unscheduled) {
+                const next = this.getNextReset(user.trafficResetStrategy, this.getAnchor(user), now);
+                await HyUser.updateOne({ _id: user._id, nextTrafficReset: null }, { $set: { nextTrafficReset: next } });
+            }
+
+            const due = await HyUser.find({ trafficResetStrategy: { $ne: 'none' }, nextTrafficReset: { $lte: now } })
+                .select(fields)
+                .lean();
+
+            let count = 0;
+            for (const user of due) {
+                try {
+                    if (await this.resetUser(user, now)) count++;
+                } catch (err) {
+                    logger.error(`[TrafficReset] ${user.userId}: ${err.message}`);
+                }
+            }
+
+            if (count > 0) {
+                await cache.invalidateDashboardCounts();
+                await cache.invalidateTrafficStats();
+                logger.info(`[TrafficReset] Traffic reset for ${count} users`);
+            }
+        } catch (err) {
+            logger.error(`[TrafficReset] Error: ${err.message}`);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = new TrafficResetService();
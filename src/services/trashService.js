@@ -0,0 +1,322 @@
+/**
+ * Trash for deleted users, nodes and server groups
+ *
+ * Deleting moves the document into Trash as is and removes references to it
+ * (node from users' `nodes`, group from users' and nodes' `groups`); restore puts
+ * the document back with the same _id and re-adds the references, so users get
+ * their traffic, groups and subscription token back.
+ *
+ * Devices, traffic history and sessions of a deleted user (and per-node traffic
+ * of a deleted node) are kept until the entry is purged: by purgeExpired (cron)
+ * after settings.trash.retentionDays or manually.
+ */
+
+const mongoose = require('mongoose');
+const Trash = require('../models/trashModel');
+const HyUser = require('../models/hyUserModel');
+const HyNode = require('../models/hyNodeModel');
+const ServerGroup = require('../models/serverGroupModel');
+const cache = require('./cacheService');
+const userDataService = require('./userDataService');
+const userTrafficService = require('./userTrafficService');
+const webhookService = require('./webhookService');
+const { getSettings, invalidateUserCache, invalidateUsersCache, invalidateGroupsCache } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 1000;
+const MAX_LIST = 500;
+
+const MODELS = { user: HyUser, node: HyNode, group: ServerGroup };
+
+// Fields of data returned in the list
+const SUMMARY_FIELDS = ['data.username', 'data.enabled', 'data.traffic', 'data.expireAt', 'data.ip', 'data.color'];
+
+/**
+ * Restore conflicts with an existing document (API returns 409)
+ */
+class TrashError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TrashError';
+    }
+}
+
+class TrashService {
+    constructor() {
+        this.isPurging = false;
+    }
+
+    async getRetentionDays() {
+        const settings = await getSettings();
+        return Math.max(1, settings?.trash?.retentionDays || 30);
+    }
+
+    /**
+     * Move user to trash
+     * @returns {Object|null} deleted user, null if not found
+     */
+    async trashUser(userId) {
+        const user = await HyUser.findOne({ userId }).lean();
+        if (!user) return null;
+
+        await Trash.create({ type: 'user', itemId: user._id, name: user.userId, data: user });
+        await HyUser.deleteOne({ _id: user._id });
+
+        await invalidateUserCache(user.userId, user.subscriptionToken, user.credentials || []);
+        webhookService.emitUser('user.deleted', user);
+        return user;
+    }
+
+    /**
+     * Move users to trash in batches (bulk delete)
+     * @param {Array} ids - HyUser _id list
+     * @returns {Array} deleted users
+     */
+    async trashUsers(ids) {
+        const deleted = [];
+
+        for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+            const users = await HyUser.find({ _id: { $in: ids.slice(i, i + BATCH_SIZE) } }).lean();
+            if (users.length === 0) continue;
+
+            await Trash.insertMany(users.map(user => ({
+                type: 'user',
+                itemId: user._id,
+                name: user.userId,
+                data: user,
+            })));
+            await HyUser.deleteMany({ _id: { $in: users.map(u => u._id) } });
+            deleted.push(...users);
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Move node to trash (removed from users' node lists)
+     * @returns {Object|null} deleted node, null if not found
+     */
+    async trashNode(id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+        const node = await HyNode.findById(id).lean();
+        if (!node) return null;
+
+        const users = await HyUser.find({ nodes: node._id }).select('_id').lean();
+
+        await Trash.create({
+            type: 'node',
+            itemId: node._id,
+            name: node.name,
+            data: node,
+            refs: { users: users.map(u => u._id) },
+        });
+        await HyUser.updateMany({ nodes: node._id }, { $pull: { nodes: node._id } });
+        await HyNode.deleteOne({ _id: node._id });
+
+        await this.invalidateNodes();
+        return node;
+    }
+
+    /**
+     * Move server group to trash (removed from users and nodes)
+     * @returns {Object|null} deleted group, null if not found
+     */
+    async trashGroup(id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+        const group = await ServerGroup.findById(id).lean();
+        if (!group) return null;
+
+        const [users, nodes] = await Promise.all([
+            HyUser.find({ groups: group._id }).select('userId subscriptionToken credentials.token').lean(),
+            HyNode.find({ groups: group._id }).select('_id').lean(),
+        ]);
+
+        await Trash.create({
+            type: 'group',
+            itemId: group._id,
+            name: group.name,
+            data: group,
+            refs: { users: users.map(u => u._id), nodes: nodes.map(n => n._id) },
+        });
+        await Promise.all([
+            HyNode.updateMany({ groups: group._id }, { $pull: { groups: group._id } }),
+            HyUser.updateMany({ groups: group._id }, { $pull: { groups: group._id } }),
+        ]);
+        await ServerGroup.deleteOne({ _id: group._id });
+
+        await invalidateGroupsCache();
+        await invalidateUsersCache(users);
+        return group;
+    }
+
+    /**
+     * Trash entries without document bodies, newest first
+     * @param {Object} options - { type? }
+     * @returns {Array} [{ _id, type, itemId, name, deletedAt, purgeAt, data: summary }]
+     */
+    async list({ type } = {}) {
+        const filter = {};
+        if (type && Trash.TYPES.includes(type)) filter.type = type;
+
+        const retentionMs = await this.getRetentionDays() * DAY_MS;
+        const entries = await Trash.find(filter)
+            .select(['type', 'itemId', 'name', 'deletedAt', ...SUMMARY_FIELDS].join(' '))
+            .sort({ deletedAt: -1 })
+            .limit(MAX_LIST)
+            .lean();
+
+        return entries.map(entry => ({
+            ...entry,
+            purgeAt: new Date(new Date(entry.deletedAt).getTime() + retentionMs),
+        }));
+    }
+
+    /**
+     * Put item back with the same _id
+     * @returns {Object|null} { type, item }, null if entry not found
+     * @throws {TrashError} if a document with the same userId / IP / name exists now
+     */
+    async restore(entryId) {
+        if (!mongoose.Types.ObjectId.isValid(entryId)) return null;
+
+        const entry = await Trash.findById(entryId).lean();
+        if (!entry) return null;
+
+        const { type, data, refs = {} } = entry;
+        await this.checkConflict(type, data);
+
+        try {
+            await MODELS[type].collection.insertOne(data);
+        } catch (err) {
+            if (err.code === 11000) throw new TrashError(`Conflicts with an existing ${type}: ${err.message}`);
+            throw err;
+        }
+
+        if (type === 'node' && refs.users?.length) {
+            await HyUser.updateMany({ _id: { $in: refs.users } }, { $addToSet: { nodes: data._id } });
+        }
+        if (type === 'group') {
+            await Promise.all([
+                refs.users?.length && HyUser.updateMany({ _id: { $in: refs.users } }, { $addToSet: { groups: data._id } }),
+                refs.nodes?.length && HyNode.updateMany({ _id: { $in: refs.nodes } }, { $addToSet: { groups: data._id } }),
+            ]);
+        }
+
+        await Trash.deleteOne({ _id: entry._id });
+        await this.invalidate(type, data, refs);
+
+        if (type === 'user') {
+            webhookService.emitUser('user.restored', data);
+        }
+
+        logger.info(`[Trash] Restored ${type} ${entry.name}`);
+        return { type, item: data };
+    }
+
+    async checkConflict(type, data) {
+        if (type === 'user' && await HyUser.exists({ userId: data.userId })) {
+            throw new TrashError(`User ${data.userId} already exists`);
+        }
+        if (type === 'node' && await HyNode.exists({ ip: data.ip })) {
+            throw new TrashError(`Node with IP ${data.ip} already exists`);
+        }
+        if (type === 'group' && await ServerGroup.exists({ name: data.name })) {
+            throw new TrashError(`Group ${data.name} already exists`);
+        }
+    }
+
+    /**
+     * Node lists and subscriptions of all users may change
+     */
+    async invalidateNodes() {
+        await cache.invalidateNodes();
+        await cache.invalidateAllSubscriptions();
+        await cache.invalidateDashboardCounts();
+    }
+
+    async invalidate(type, data, refs) {
+        if (type === 'user') {
+            await invalidateUserCache(data.userId, data.subscriptionToken, data.credentials || []);
+            return;
+        }
+
+        await this.invalidateNodes();
+
+        if (type === 'group') {
+            await invalidateGroupsCache();
+        }
+
+        const users = refs.users?.length
+            ? await HyUser.find({ _id: { $in: refs.users } }).select('userId subscriptionToken credentials.token').lean()
+            : [];
+        await invalidateUsersCache(users);
+    }
+
+    /**
+     * Delete entry for good with the data kept for restore
+     */
+    async purgeEntry(entry) {
+        if (entry.type === 'user') {
+            // A new user may have been created with the same userId since
+            if (!await HyUser.exists({ userId: entry.name })) {
+                await userDataService.deleteUserData([entry.name]);
+            }
+        } else if (entry.type === 'node') {
+            await userTrafficService.deleteNodeTraffic(entry.itemId);
+        }
+
+        await Trash.deleteOne({ _id: entry._id });
+    }
+
+    /**
+     * Purge one entry now
+     * @returns {boolean} false if not found
+     */
+    async purge(entryId) {
+        if (!mongoose.Types.ObjectId.isValid(entryId)) return false;
+
+        const entry = await Trash.findById(entryId).select('type itemId name').lean();
+        if (!entry) return false;
+
+        await this.purgeEntry(entry);
+        logger.info(`[Trash] Purged ${entry.type} ${entry.name}`);
+        return true;
+    }
+
+    /**
+     * Purge entries older than retention (called from cron)
+     */
+    async purgeExpired(now = new Date()) {
+        if (this.isPurging) return;
+        this.isPurging = true;
+
+        try {
+            const cutoff = new Date(now.getTime() - await this.getRetentionDays() * DAY_MS);
+            const entries = await Trash.find({ deletedAt: { $lt: cutoff } }).select('type itemId name').lean();
+
+            let count = 0;
+            for (const entry of entries) {
+                try {
+                    await this.purgeEntry(entry);
+                    count++;
+                } catch (err) {
+                    logger.error(`[Trash] Purge ${entry.type} ${entry.name} error: ${err.message}`);
+                }
+            }
+
+            if (count > 0) {
+                logger.info(`[Trash] Purged ${count} expired entries`);
+            }
+        } catch (err) {
+            logger.error(`[Trash] Purge error: ${err.message}`);
+        } finally {
+            this.isPurging = false;
+        }
+    }
+}
+
+module.exports = new TrashService();
+module.exports.TrashError = TrashError;
@@ -0,0 +1,290 @@
+/**
+ * Bulk user operations (billing integrations, panel multi-select)
+ *
+ * Users are selected by userIds or by filter, changed with one bulkWrite
+ * and caches are invalidated in one batch.
+ */
+
+const mongoose = require('mongoose');
+const HyUser = require('../models/hyUserModel');
+const trashService = require('./trashService');
+const webhookService = require('./webhookService');
+const { invalidateUsersCache } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const ACTIONS = [
+    'enable', 'disable', 'extend',
+    'setGroups', 'addGroups', 'removeGroups',
+    'setTags', 'addTags', 'removeTags',
+    'delete',
+];
+const MAX_USERS = 10000;
+
+// Webhook events of actions (payload as in single-user routes)
+const EVENTS = {
+    enable: 'user.enabled',
+    disable: 'user.disabled',
+    delete: 'user.deleted',
+};
+
+/**
+ * Validation error (API returns 400)
+ */
+class BulkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BulkError';
+    }
+}
+
+function parseGroups(groups) {
+    if (!Array.isArray(groups)) {
+        throw new BulkError('params.groups must be an array');
+    }
+    const invalid = groups.find(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid) {
+        throw new BulkError(`Invalid group id: ${invalid}`);
+    }
+    return groups;
+}
+
+function parseTags(tags) {
+    if (!Array.isArray(tags) && typeof tags !== 'string') {
+        throw new BulkError('params.tags must be an array or comma-separated string');
+    }
+    return HyUser.normalizeTags(tags);
+}
+
+class UserBulkService {
+    /**
+     * Mongo query from selector
+     * @param {Object} selector - { userIds } or { filter: { group, tag, enabled, onHold, expireBefore, overQuota } }
+     */
+    buildQuery({ userIds, filter }) {
+        if (Array.isArray(userIds)) {
+            if (userIds.length === 0) throw new BulkError('userIds is empty');
+            return { userId: { $in: userIds.map(String) } };
+        }
+
+        if (!filter || typeof filter !== 'object') {
+            throw new BulkError('userIds or filter is required');
+        }
+
+        const query = {};
+        const and = [];
+
+        if (filter.group) {
+            if (!mongoose.Types.ObjectId.isValid(filter.group)) throw new BulkError('Invalid filter.group');
+            query.groups = filter.group;
+        }
+
+        if (filter.tag) {
+            const tags = HyUser.normalizeTags(filter.tag);
+            if (tags.length === 0) throw new BulkError('Invalid filter.tag');
+            query.tags = { $all: tags };
+        }
+
+        if (filter.enabled !== undefined) {
+            query.enabled = filter.enabled === true || filter.enabled === 'true';
+        }
+
+        if (filter.onHold !== undefined) {
+            const onHold = filter.onHold === true || filter.onHold === 'true';
+            query['onHold.durationDays'] = onHold ? { $gt: 0 } : { $in: [0, null] };
+        }
+
+        if (filter.expireBefore) {
+            const date = new Date(filter.expireBefore);
+            if (isNaN(date)) throw new BulkError('Invalid filter.expireBefore');
+            query.expireAt = { $ne: null, $lt: date };
+        }
+
+        if (filter.overQuota === true || filter.overQuota === 'true') {
+            and.push({
+                $expr: {
+                    $and: [
+                        { $gt: ['$trafficLimit', 0] },
+                        { $gte: [{ $add: ['$traffic.tx', '$traffic.rx'] }, HyUser.trafficLimitExpr()] },
+                    ]
+                }
+            });
+        }
+
+        if (Object.keys(query).length === 0 && and.length === 0) {
+            // Never touch all users by an empty filter
+            throw new BulkError('filter must contain at least one condition');
+        }
+
+        if (and.length > 0) query.$and = and;
+
+        return query;
+    }
+
+    /**
+     * bulkWrite operation for one user (null = nothing to do)
+     */
+    buildOperation(user, action, params, now) {
+        switch (action) {
+            case 'enable':
+            case 'disable':
+                // Already in this state: skipped, no event
+                if (Boolean(user.enabled) === (action === 'enable')) return null;
+                return { updateOne: { filter: { _id: user._id }, update: { $set: { enabled: action === 'enable' } } } };
+
+            case 'extend': {
+                // On-hold users get a longer hold, the clock has not started yet
+                if (HyUser.isOnHold(user)) {
+                    return { updateOne: { filter: { _id: user._id }, update: { $inc: { 'onHold.durationDays': params.days } } } };
+                }
+                // Unexpired time is kept; users without expiry stay unlimited
+                if (!user.expireAt) return null;
+                const from = user.expireAt > now ? new Date(user.expireAt) : new Date(now);
+                from.setDate(from.getDate() + params.days);
+                return { updateOne: { filter: { _id: user._id }, update: { $set: { expireAt: from } } } };
+            }
+
+            case 'setGroups':
+                return { updateOne: { filter: { _id: user._id }, update: { $set: { groups: params.groups } } } };
+
+            case 'addGroups':
+                return { updateOne: { filter: { _id: user._id }, update: { $addToSet: { groups: { $each: params.groups } } } } };
+
+            case 'removeGroups':
+                return { updateOne: { filter: { _id: user._id }, update: { $pullAll: { groups: params.groups } } } };
+
+            case 'setTags':
+                return { updateOne: { filter: { _id: user._id }, update: { $set: { tags: params.tags } } } };
+
+            case 'addTags':
+                return { updateOne: { filter: { _id: user._id }, update: { $addToSet: { tags: { $each: params.tags } } } } };
+
+            case 'removeTags':
+                return { updateOne: { filter: { _id: user._id }, update: { $pullAll: { tags: params.tags } } } };
+
+            // Moved to trash in run()
+            case 'delete':
+                return { deleteOne: { filter: { _id: user._id } } };
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Validate action params
+     * @throws {BulkError}
+     */
+    normalizeParams(action, params = {}) {
+        if (!ACTIONS.includes(action)) {
+            throw new BulkError(`action must be one of: ${ACTIONS.join(', ')}`);
+        }
+
+        if (action === 'extend') {
+            const days = parseInt(params.days);
+            if (!days || days < 1) throw new BulkError('params.days must be >= 1');
+            return { days };
+        }
+
+        if (['setGroups', 'addGroups', 'removeGroups'].includes(action)) {
+            return { groups: parseGroups(params.groups) };
+        }
+
+        if (['setTags', 'addTags', 'removeTags'].includes(action)) {
+            const tags = parseTags(params.tags);
+            if (tags.length === 0 && action !== 'setTags') throw new BulkError('params.tags is empty');
+            return { tags };
+        }
+
+        return {};
+    }
+
+    /**
+     * Run bulk action
+     * @returns {Object} { action, matched, modified, results: [{ userId, ok, skipped?, error? }] }
+     */
+    async run({ userIds, filter, action, params }) {
+        const actionParams = this.normalizeParams(action, params);
+        const query = this.buildQuery({ userIds, filter });
+
+        const users = await HyUser.find(query)
+            .select('userId username enabled groups plan tags trafficLimit traffic subscriptionToken credentials.token expireAt onHold')
+            .limit(MAX_USERS + 1)
+            .lean();
+
+        if (users.length > MAX_USERS) {
+            throw new BulkError(`Too many users matched (max ${MAX_USERS}), narrow the selection`);
+        }
+
+        const results = [];
+        const ops = [];
+        const opUsers = [];
+        const now = new Date();
+
+        // Requested userIds that don't exist
+        if (Array.isArray(userIds)) {
+            const found = new Set(users.map(u => u.userId));
+            for (const userId of new Set(userIds.map(String))) {
+                if (!found.has(userId)) results.push({ userId, ok: false, error: 'not_found' });
+            }
+        }
+
+        for (const user of users) {
+            const op = this.buildOperation(user, action, actionParams, now);
+            if (op) {
+                ops.push(op);
+                opUsers.push(user);
+            } else {
+                results.push({ userId: user.userId, ok: true, skipped: true });
+            }
+        }
+
+        let modified = 0;
+
+        if (ops.length > 0) {
+            const failed = new Map();
+            if (action === 'delete') {
+                // Deleted users go to trash, their data is removed when it's purged
+                const deleted = new Set((await trashService.trashUsers(opUsers.map(u => u._id))).map(u => String(u._id)));
+                opUsers.forEach((user, index) => {
+                    if (!deleted.has(String(user._id))) failed.set(index, 'not_found');
+                });
+                modified = deleted.size;
+            } else {
+                try {
+                    const result = await HyUser.bulkWrite(ops, { ordered: false });
+                    modified = result.modifiedCount || 0;
+                } catch (err) {
+                    // Unordered bulkWrite reports failed operations by index, the rest are applied
+                    if (!err.writeErrors && !err.result) throw err;
+                    for (const writeError of [].concat(err.writeErrors || [])) {
+                        failed.set(writeError.index, writeError.errmsg || writeError.message);
+                    }
+                    modified = err.result?.modifiedCount || 0;
+                }
+            }
+
+            opUsers.forEach((user, index) => {
+                results.push(failed.has(index)
+                    ? { userId: user.userId, ok: false, error: failed.get(index) }
+                    : { userId: user.userId, ok: true });
+            });
+
+            const changed = opUsers.filter((_, index) => !failed.has(index));
+
+            await invalidateUsersCache(changed);
+
+            if (EVENTS[action]) {
+                const state = action === 'delete' ? {} : { enabled: action === 'enable' };
+                changed.forEach(user => webhookService.emitUser(EVENTS[action], { ...user, ...state }));
+            }
+        }
+
+        logger.info(`[Bulk] ${action}: ${users.length} matched, ${modified} modified`);
+
+        return { action, matched: users.length, modified, results };
+    }
+}
+
+module.exports = new UserBulkService();
+module.exports.BulkError = BulkError;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,25 @@
+/**
+ * Data of a user kept outside HyUser: devices, traffic history, per-node traffic, sessions
+ *
+ * Deleted users go to the trash with this data left in place, it is removed
+ * when the trash entry is purged.
+ */
+
+const UserDevice = require('../models/userDeviceModel');
+const TrafficHistory = require('../models/trafficHistoryModel');
+const userTrafficService = require('./userTrafficService');
+const sessionService = require('./sessionService');
+
+class UserDataService {
+    /**
+     * @param {Array<string>} userIds
+     */
+    async deleteUserData(userIds) {
+        await UserDevice.deleteMany({ userId: { $in: userIds } });
+        await TrafficHistory.deleteMany({ userId: { $in: userIds } });
+        await userTrafficService.deleteUserTraffic(userIds);
+        await sessionService.deleteUserSessions(userIds);
+    }
+}
+
+module.exports = new UserDataService();
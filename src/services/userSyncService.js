@@ -0,0 +1,310 @@
+/**
+ * Sync users from the main database (POST /api/users/sync-from-main)
+ *
+ * Modes:
+ * - merge: create and update users from payload, others are left alone
+ * - reconcile: payload is the full list, users missing from it are disabled or moved to trash
+ *
+ * Payload is processed in batches (one find + one bulkWrite per batch), caches
+ * of changed users are invalidated once at the end (one Redis pipeline and one
+ * subscription scan, see invalidateUsersCache). Dry run computes the same diff
+ * without writing.
+ */
+
+const mongoose = require('mongoose');
+const HyUser = require('../models/hyUserModel');
+const Plan = require('../models/planModel');
+const cryptoService = require('./cryptoService');
+const trashService = require('./trashService');
+const webhookService = require('./webhookService');
+const { invalidateUsersCache } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const MODES = ['merge', 'reconcile'];
+const MISSING_ACTIONS = ['disable', 'delete'];
+
+const BATCH_SIZE = 1000;
+const MAX_USERS = 100000;
+
+// Synced fields and values of users that don't have them set
+const FIELD_DEFAULTS = {
+    username: '',
+    enabled: false,
+    groups: [],
+    trafficLimit: 0,
+    maxDevices: 0,
+    expireAt: null,
+    note: '',
+    tags: [],
+    trafficResetStrategy: 'none',
+};
+const FIELDS = Object.keys(FIELD_DEFAULTS);
+
+/**
+ * Validation error (API returns 400)
+ */
+class SyncError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SyncError';
+    }
+}
+
+/**
+ * Value for comparison: dates as ms, lists as sorted strings
+ */
+function comparable(field, value) {
+    if (value === undefined || value === null) value = FIELD_DEFAULTS[field];
+    if (field === 'expireAt') return value ? new Date(value).getTime() : null;
+    if (field === 'groups' || field === 'tags') return value.map(String).sort().join(',');
+    return value;
+}
+
+class UserSyncService {
+    /**
+     * Validate payload record
+     * @returns {Object} { userId, fields } or { userId, error }
+     */
+    normalizeRecord(record) {
+        const userId = String(record?.userId ?? '').trim();
+        if (!userId) return { error: 'userId is required' };
+
+        const fields = {};
+        const has = (field) => record[field] !== undefined;
+
+        // An empty username never overwrites the stored one
+        if (record.username) fields.username = String(record.username);
+        if (has('note')) fields.note = String(record.note ?? '');
+
+        if (has('enabled')) {
+            if (typeof record.enabled !== 'boolean') return { userId, error: 'enabled must be boolean' };
+            fields.enabled = record.enabled;
+        }
+
+        if (has('groups')) {
+            if (!Array.isArray(record.groups)) return { userId, error: 'groups must be an array' };
+            const invalid = record.groups.find(id => !mongoose.Types.ObjectId.isValid(id));
+            if (invalid) return { userId, error: `Invalid group id: ${invalid}` };
+            fields.groups = record.groups.map(String);
+        }
+
+        if (has('tags')) fields.tags = HyUser.normalizeTags(record.tags);
+
+        for (const [field, min] of [['trafficLimit', 0], ['maxDevices', -1]]) {
+            if (!has(field)) continue;
+            const value = Number(record[field]);
+            if (!Number.isInteger(value) || value < min) return { userId, error: `Invalid ${field}: ${record[field]}` };
+            fields[field] = value;
+        }
+
+        if (has('expireAt')) {
+            const date = record.expireAt ? new Date(record.expireAt) : null;
+            if (date && isNaN(date)) return { userId, error: `Invalid expireAt: ${record.expireAt}` };
+            fields.expireAt = date;
+        }
+
+        if (has('trafficResetStrategy')) {
+            if (!Plan.TRAFFIC_RESET_STRATEGIES.includes(record.trafficResetStrategy)) {
+                return { userId, error: `Invalid trafficResetStrategy: ${record.trafficResetStrategy}` };
+            }
+            fields.trafficResetStrategy = record.trafficResetStrategy;
+        }
+
+        return { userId, fields };
+    }
+
+    /**
+     * Changed fields of existing user
+     * @returns {Object} { field: { from, to } }
+     */
+    diffUser(user, fields) {
+        const changes = {};
+        for (const [field, value] of Object.entries(fields)) {
+            if (comparable(field, user[field]) !== comparable(field, value)) {
+                changes[field] = { from: user[field] ?? FIELD_DEFAULTS[field], to: value };
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Run sync
+     * @param {Object} options - { users, mode: merge | reconcile, missing: disable | delete, dryRun }
+     * @returns {Object} { mode, dryRun, created, updated, unchanged, disabled, deleted, errors, failed, diff? }
+     */
+    async sync({ users, mode = 'merge', missing = 'disable', dryRun = false }) {
+        if (!Array.isArray(users)) throw new SyncError('users must be an array');
+        if (!MODES.includes(mode)) throw new SyncError(`mode must be one of: ${MODES.join(', ')}`);
+        if (!MISSING_ACTIONS.includes(missing)) throw new SyncError(`missing must be one of: ${MISSING_ACTIONS.join(', ')}`);
+        if (users.length > MAX_USERS) throw new SyncError(`Too many users (max ${MAX_USERS})`);
+        // Empty list would disable/delete everyone
+        if (mode === 'reconcile' && users.length === 0) throw new SyncError('users is empty, nothing to reconcile');
+
+        const diff = { created: [], updated: [], disabled: [], deleted: [] };
+        const failed = [];
+        const changedUsers = [];
+        // [event, user] webhooks sent after writing
+        const events = [];
+        const presentIds = new Set();
+        let unchanged = 0;
+
+        const records = [];
+        for (const record of users) {
+            const item = this.normalizeRecord(record);
+
+            if (item.userId && presentIds.has(item.userId)) {
+                failed.push({ userId: item.userId, error: 'Duplicate userId in payload' });
+                continue;
+            }
+            // Invalid records still count as present: reconcile must not touch them
+            if (item.userId) presentIds.add(item.userId);
+
+            if (item.error) {
+                failed.push({ userId: item.userId || '', error: item.error });
+            } else {
+                records.push(item);
+            }
+        }
+
+        for (let i = 0; i < records.length; i += BATCH_SIZE) {
+            const batch = records.slice(i, i + BATCH_SIZE);
+            const existing = new Map((await HyUser.find({ userId: { $in: batch.map(r => r.userId) } })
+                .select(['userId', 'subscriptionToken', 'credentials.token', 'plan', 'traffic', ...FIELDS].join(' '))
+                .lean()).map(u => [u.userId, u]));
+
+            const ops = [];
+            const opItems = [];
+
+            for (const item of batch) {
+                const user = existing.get(item.userId);
+
+                if (!user) {
+                    const document = {
+                        ...FIELD_DEFAULTS,
+                        ...item.fields,
+                        userId: item.userId,
+                        password: cryptoService.generatePassword(item.userId),
+                        // bulkWrite skips save hooks
+                        subscriptionToken: HyUser.generateSubscriptionToken(item.userId),
+                        nodes: [],
+                    };
+                    ops.push({ insertOne: { document } });
+                    opItems.push({ type: 'created', userId: item.userId, user: document });
+                    continue;
+                }
+
+                const changes = this.diffUser(user, item.fields);
+                if (Object.keys(changes).length === 0) {
+                    unchanged++;
+                    continue;
+                }
+
+                const updates = Object.fromEntries(Object.keys(changes).map(field => [field, item.fields[field]]));
+                if (changes.trafficResetStrategy) updates.nextTrafficReset = null;
+
+                ops.push({ updateOne: { filter: { _id: user._id }, update: { $set: updates } } });
+                opItems.push({ type: 'updated', userId: item.userId, user: { ...user, ...updates }, changes });
+            }
+
+            const errors = dryRun ? new Map() : await this.write(ops);
+
+            opItems.forEach((op, index) => {
+                if (errors.has(index)) {
+                    failed.push({ userId: op.userId, error: errors.get(index) });
+                    return;
+                }
+                diff[op.type].push(op.type === 'updated' ? { userId: op.userId, changes: op.changes } : op.userId);
+                if (op.type === 'created') {
+                    events.push(['user.created', op.user]);
+                    return;
+                }
+                // New users have nothing cached
+                changedUsers.push(op.user);
+                if (op.changes.enabled) {
+                    events.push([op.changes.enabled.to ? 'user.enabled' : 'user.disabled', op.user]);
+                }
+            });
+        }
+
+        if (mode === 'reconcile') {
+            const query = { userId: { $nin: [...presentIds] } };
+            if (missing === 'disable') query.enabled = true;
+
+            let missingUsers = await HyUser.find(query)
+                .select(['userId', 'subscriptionToken', 'credentials.token', 'plan', 'traffic', ...FIELDS].join(' '))
+                .lean();
+
+            if (!dryRun && missingUsers.length > 0) {
+                if (missing === 'delete') {
+                    // To trash like any other delete (batched inside)
+                    missingUsers = await trashService.trashUsers(missingUsers.map(u => u._id));
+                    missingUsers.forEach(u => events.push(['user.deleted', u]));
+                } else {
+                    for (let i = 0; i < missingUsers.length; i += BATCH_SIZE) {
+                        const ids = missingUsers.slice(i, i + BATCH_SIZE).map(u => u._id);
+                        await HyUser.updateMany({ _id: { $in: ids } }, { $set: { enabled: false } });
+                    }
+                    missingUsers.forEach(u => events.push(['user.disabled', { ...u, enabled: false }]));
+                }
+            }
+
+            diff[missing === 'delete' ? 'deleted' : 'disabled'] = missingUsers.map(u => u.userId);
+            changedUsers.push(...missingUsers);
+        }
+
+        if (!dryRun && (changedUsers.length > 0 || diff.created.length > 0)) {
+            await invalidateUsersCache(changedUsers);
+            this.emitEvents(events);
+        }
+
+        const result = {
+            mode,
+            dryRun,
+            created: diff.created.length,
+            updated: diff.updated.length,
+            unchanged,
+            disabled: diff.disabled.length,
+            deleted: diff.deleted.length,
+            errors: failed.length,
+            failed,
+        };
+
+        if (dryRun) {
+            result.diff = diff;
+        } else {
+            logger.info(`[Sync] ${mode}: created ${result.created}, updated ${result.updated}, disabled ${result.disabled}, deleted ${result.deleted}, errors ${result.errors}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Webhook events for applied changes, same payload as single-user routes
+     * @param {Array} events - [event, user]
+     */
+    emitEvents(events) {
+        events.forEach(([event, user]) => webhookService.emitUser(event, user));
+    }
+
+    /**
+     * Unordered bulkWrite
+     * @returns {Map} failed operation index -> error message
+     */
+    async write(ops) {
+        const failed = new Map();
+        if (ops.length === 0) return failed;
+
+        try {
+            await HyUser.bulkWrite(ops, { ordered: false });
+        } catch (err) {
+            if (!err.writeErrors && !err.result) throw err;
+            for (const writeError of [].concat(err.writeErrors || [])) {
+                failed.set(writeError.index, writeError.errmsg || writeError.message);
+            }
+        }
+        return failed;
+    }
+}
+
+module.exports = new UserSyncService();
+module.exports.SyncError = SyncError;
@@ -0,0 +1,211 @@
+/**
+ * Per-user traffic history
+ *
+ * Each stats collection adds the user's delta to a daily bucket (and an hourly one
+ * if enabled in settings). Lifetime counters stay in HyUser.traffic; buckets only
+ * answer "how much and when" and are removed after the retention period.
+ *
+ * The same delta is added to UserNodeTraffic, which answers "through which node".
+ */
+
+const mongoose = require('mongoose');
+const UserTraffic = require('../models/userTrafficModel');
+const UserNodeTraffic = require('../models/userNodeTrafficModel');
+const HyUser = require('../models/hyUserModel');
+const { getSettings } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default range when from is not given
+const DEFAULT_RANGE_MS = {
+    hourly: 2 * DAY_MS,
+    daily: 30 * DAY_MS,
+};
+
+// Max points in one response
+const MAX_POINTS = {
+    hourly: 24 * 31,
+    daily: 366 * 3,
+};
+
+class UserTrafficService {
+    /**
+     * Add traffic collected from node to buckets and per-node counters
+     * @param {ObjectId} nodeId
+     * @param {Object} stats - { userId: { tx, rx } } as returned by node /traffic
+     */
+    async record(nodeId, stats, now = new Date()) {
+        const entries = Object.entries(stats || {})
+            .filter(([, traffic]) => (traffic.tx || 0) + (traffic.rx || 0) > 0);
+        if (entries.length === 0) return;
+
+        const settings = await getSettings();
+        const types = settings?.userTraffic?.hourly ? ['daily', 'hourly'] : ['daily'];
+
+        const bulkOps = [];
+        for (const type of types) {
+            const ts = UserTraffic.bucketStart(type, now);
+            for (const [userId, traffic] of entries) {
+                bulkOps.push({
+                    updateOne: {
+                        filter: { userId, type, ts },
+                        update: { $inc: { tx: traffic.tx || 0, rx: traffic.rx || 0 } },
+                        upsert: true,
+                    },
+                });
+            }
+        }
+
+        const nodeOps = entries.map(([userId, traffic]) => ({
+            updateOne: {
+                filter: { node: nodeId, userId },
+                update: {
+                    $inc: { tx: traffic.tx || 0, rx: traffic.rx || 0 },
+                    $set: { lastSeen: now },
+                },
+                upsert: true,
+            },
+        }));
+
+        try {
+            await Promise.all([
+                UserTraffic.bulkWrite(bulkOps, { ordered: false }),
+                UserNodeTraffic.bulkWrite(nodeOps, { ordered: false }),
+            ]);
+        } catch (error) {
+            logger.error(`[UserTraffic] Record error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Traffic of user on each node (most used first)
+     * @returns {Array} [{ node: { _id, name, ip } | null, tx, rx, lastSeen }]
+     */
+    async getUserNodeTraffic(userId) {
+        const rows = await UserNodeTraffic.find({ userId })
+            .populate('node', 'name ip')
+            .select('node tx rx lastSeen')
+            .lean();
+
+        return rows.sort((a, b) => (b.tx + b.rx) - (a.tx + a.rx));
+    }
+
+    /**
+     * Users with most traffic on node
+     * @returns {Array} [{ userId, username, enabled, tx, rx, lastSeen }]
+     */
+    async getNodeTopUsers(nodeId, limit = 20) {
+        return UserNodeTraffic.aggregate([
+            { $match: { node: new mongoose.Types.ObjectId(String(nodeId)) } },
+            { $addFields: { total: { $add: ['$tx', '$rx'] } } },
+            { $sort: { total: -1 } },
+            { $limit: Math.min(parseInt(limit) || 20, 500) },
+            {
+                $lookup: {
+                    from: HyUser.collection.name,
+                    localField: 'userId',
+                    foreignField: 'userId',
+                    pipeline: [{ $project: { username: 1, enabled: 1 } }],
+                    as: 'user',
+                },
+            },
+            {
+                $project: {
+                    _id: 0,
+                    userId: 1,
+                    username: { $ifNull: [{ $first: '$user.username' }, ''] },
+                    enabled: { $first: '$user.enabled' },
+                    tx: 1,
+                    rx: 1,
+                    lastSeen: 1,
+                },
+            },
+        ]);
+    }
+
+    /**
+     * Usage buckets for chart (empty buckets are returned as zeros)
+     * @param {Object} options - { from, to, granularity: hourly | daily }
+     * @returns {Object} { userId, granularity, from, to, total: { tx, rx }, points: [{ ts, tx, rx }] }
+     */
+    async getUserTraffic(userId, { from, to, granularity = 'daily' } = {}) {
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_MS[granularity]);
+
+        const first = UserTraffic.bucketStart(granularity, start);
+        const last = UserTraffic.bucketStart(granularity, end);
+
+        const buckets = await UserTraffic.find({
+            userId,
+            type: granularity,
+            ts: { $gte: first, $lte: last },
+        })
+            .select('ts tx rx')
+            .lean();
+
+        const byTs = new Map(buckets.map(b => [b.ts.getTime(), b]));
+        const points = [];
+        const total = { tx: 0, rx: 0 };
+
+        for (let ts = first; ts <= last && points.length < MAX_POINTS[granularity]; ts = UserTraffic.nextBucket(granularity, ts)) {
+            const bucket = byTs.get(ts.getTime());
+            const point = { ts, tx: bucket?.tx || 0, rx: bucket?.rx || 0 };
+            total.tx += point.tx;
+            total.rx += point.rx;
+            points.push(point);
+        }
+
+        return { userId, granularity, from: first, to: last, total, points };
+    }
+
+    /**
+     * Max buckets per request, for validation in API
+     */
+    getMaxPoints(granularity) {
+        return MAX_POINTS[granularity];
+    }
+
+    /**
+     * Delete buckets and per-node counters of removed users
+     * @param {string|Array<string>} userIds
+     */
+    async deleteUserTraffic(userIds) {
+        const filter = { userId: { $in: [].concat(userIds) } };
+        await Promise.all([
+            UserTraffic.deleteMany(filter),
+            UserNodeTraffic.deleteMany(filter),
+        ]);
+    }
+
+    /**
+     * Delete per-node counters of removed node
+     */
+    async deleteNodeTraffic(nodeId) {
+        return UserNodeTraffic.deleteMany({ node: nodeId });
+    }
+
+    /**
+     * Remove buckets older than retention from settings
+     */
+    async cleanup() {
+        try {
+            const settings = await getSettings();
+            const dailyDays = settings?.userTraffic?.dailyRetentionDays || 90;
+            const hourlyDays = settings?.userTraffic?.hourlyRetentionDays || 7;
+            const now = Date.now();
+
+            const [daily, hourly] = await Promise.all([
+                UserTraffic.deleteMany({ type: 'daily', ts: { $lt: new Date(now - dailyDays * DAY_MS) } }),
+                UserTraffic.deleteMany({ type: 'hourly', ts: { $lt: new Date(now - hourlyDays * DAY_MS) } }),
+            ]);
+
+            logger.info(`[UserTraffic] Cleanup: daily=${daily.deletedCount}, hourly=${hourly.deletedCount}`);
+            return { daily: daily.deletedCount, hourly: hourly.deletedCount };
+        } catch (error) {
+            logger.error(`[UserTraffic] Cleanup error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new UserTrafficService();
@@ -0,0 +1,339 @@
+/**
+ * User import / export (CSV and JSON)
+ *
+ * Groups and plans are referenced by name, so files can be moved between panels.
+ * Hysteria passwords are not exported: they are derived from userId and ENCRYPTION_KEY.
+ */
+
+const mongoose = require('mongoose');
+const HyUser = require('../models/hyUserModel');
+const ServerGroup = require('../models/serverGroupModel');
+const Plan = require('../models/planModel');
+const cryptoService = require('./cryptoService');
+const { invalidateUsersCache } = require('../utils/helpers');
+const { toCsv, parseCsv } = require('../utils/csv');
+const config = require('../../config');
+const logger = require('../utils/logger');
+
+const EXPORT_COLUMNS = [
+    'userId', 'username', 'enabled', 'groups', 'plan', 'tags', 'note',
+    'trafficLimit', 'trafficTx', 'trafficRx', 'maxDevices', 'expireAt', 'onHoldDays',
+    'trafficResetStrategy', 'subscriptionToken', 'subscriptionUrl', 'createdAt',
+];
+
+// Separator for groups and tags in CSV cell
+const LIST_SEPARATOR = ';';
+
+const MAX_IMPORT_ROWS = 10000;
+
+// Numeric columns -> HyUser paths
+const NUMBER_FIELDS = {
+    trafficLimit: 'trafficLimit',
+    maxDevices: 'maxDevices',
+    trafficTx: 'traffic.tx',
+    trafficRx: 'traffic.rx',
+    onHoldDays: 'onHold.durationDays',
+};
+
+/**
+ * Validation error (API returns 400)
+ */
+class TransferError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransferError';
+    }
+}
+
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const str = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(str)) return true;
+    if (['false', '0', 'no', 'off'].includes(str)) return false;
+    return undefined;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+class UserTransferService {
+    /**
+     * Query from export filter (same params as GET /users)
+     */
+    buildFilter({ enabled, group, plan, tag } = {}) {
+        const filter = {};
+        if (enabled !== undefined && enabled !== '') filter.enabled = enabled === 'true' || enabled === true;
+        if (group && mongoose.Types.ObjectId.isValid(group)) filter.groups = group;
+        if (tag) filter.tags = { $all: HyUser.normalizeTags(tag) };
+        if (plan && mongoose.Types.ObjectId.isValid(plan)) filter.plan = plan;
+        return filter;
+    }
+
+    /**
+     * Export rows for filtered users
+     */
+    async getExportRows(query = {}) {
+        const users = await HyUser.find(this.buildFilter(query))
+            .sort({ createdAt: 1 })
+            .populate('groups', 'name')
+            .populate('plan', 'name')
+            .lean();
+
+        return users.map(user => ({
+            userId: user.userId,
+            username: user.username || '',
+            enabled: !!user.enabled,
+            groups: (user.groups || []).map(g => g.name),
+            plan: user.plan?.name || '',
+            tags: user.tags || [],
+            note: user.note || '',
+            trafficLimit: user.trafficLimit || 0,
+            trafficTx: user.traffic?.tx || 0,
+            trafficRx: user.traffic?.rx || 0,
+            maxDevices: user.maxDevices || 0,
+            expireAt: user.expireAt ? new Date(user.expireAt).toISOString() : '',
+            onHoldDays: user.onHold?.durationDays || 0,
+            trafficResetStrategy: user.trafficResetStrategy || 'none',
+            subscriptionToken: user.subscriptionToken || '',
+            subscriptionUrl: user.subscriptionToken ? `${config.BASE_URL}/api/files/${user.subscriptionToken}` : '',
+            createdAt: user.createdAt ? new Date(user.createdAt).toISOString() : '',
+        }));
+    }
+
+    /**
+     * @param {string} format - csv | json
+     * @returns {string}
+     */
+    async exportUsers(format, query) {
+        const rows = await this.getExportRows(query);
+
+        if (format === 'json') {
+            return JSON.stringify(rows, null, 2);
+        }
+
+        return toCsv(rows.map(row => ({
+            ...row,
+            groups: row.groups.join(LIST_SEPARATOR),
+            tags: row.tags.join(LIST_SEPARATOR),
+        })), EXPORT_COLUMNS);
+    }
+
+    /**
+     * Parse uploaded content into records
+     * @param {string|Array} content - CSV/JSON text or already parsed array
+     * @param {string} format - csv | json | undefined (detect)
+     */
+    parseRecords(content, format) {
+        if (Array.isArray(content)) return content;
+
+        const text = String(content || '').trim();
+        if (!text) throw new TransferError('File is empty');
+
+        const detected = format || (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv');
+
+        if (detected === 'json') {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (err) {
+                throw new TransferError(`Invalid JSON: ${err.message}`);
+            }
+            const records = Array.isArray(data) ? data : data.users;
+            if (!Array.isArray(records)) throw new TransferError('JSON must be an array of users');
+            return records;
+        }
+
+        return parseCsv(text);
+    }
+
+    /**
+     * Validate one record into HyUser fields
+     * @returns {Object} { userId, fields, subscriptionToken? } or { error }
+     */
+    normalizeRecord(record, groupsByName, plansByName) {
+        const userId = String(record.userId ?? '').trim();
+        if (!userId) return { error: 'userId is required' };
+
+        const fields = {};
+
+        if (!isEmpty(record.username)) fields.username = String(record.username);
+        if (!isEmpty(record.note)) fields.note = String(record.note);
+
+        if (record.tags !== undefined) {
+            fields.tags = HyUser.normalizeTags(Array.isArray(record.tags)
+                ? record.tags
+                : String(record.tags).split(LIST_SEPARATOR));
+        }
+
+        if (!isEmpty(record.enabled)) {
+            const enabled = parseBoolean(record.enabled);
+            if (enabled === undefined) return { userId, error: `Invalid enabled: ${record.enabled}` };
+            fields.enabled = enabled;
+        }
+
+        for (const [field, path] of Object.entries(NUMBER_FIELDS)) {
+            if (isEmpty(record[field])) continue;
+            const value = Number(record[field]);
+            const min = field === 'maxDevices' ? -1 : 0;
+            if (!Number.isInteger(value) || value < min) return { userId, error: `Invalid ${field}: ${record[field]}` };
+            fields[path] = value;
+        }
+
+        if (record.expireAt !== undefined) {
+            if (isEmpty(record.expireAt)) {
+                fields.expireAt = null;
+            } else {
+                const date = new Date(record.expireAt);
+                if (isNaN(date)) return { userId, error: `Invalid expireAt: ${record.expireAt}` };
+                fields.expireAt = date;
+            }
+        }
+
+        // On hold: expiry is set on first connection
+        if (fields['onHold.durationDays'] > 0) {
+            fields.expireAt = null;
+            fields['onHold.activatedAt'] = null;
+        }
+
+        if (record.groups !== undefined) {
+            const names = Array.isArray(record.groups)
+                ? record.groups
+                : String(record.groups).split(LIST_SEPARATOR);
+            const groupIds = [];
+            for (const name of names.map(n => String(n).trim()).filter(Boolean)) {
+                const group = groupsByName.get(name);
+                if (!group) return { userId, error: `Unknown group: ${name}` };
+                groupIds.push(group);
+            }
+            fields.groups = groupIds;
+        }
+
+        if (!isEmpty(record.plan)) {
+            const plan = plansByName.get(String(record.plan).trim());
+            if (!plan) return { userId, error: `Unknown plan: ${record.plan}` };
+            fields.plan = plan;
+        }
+
+        if (!isEmpty(record.trafficResetStrategy)) {
+            if (!Plan.TRAFFIC_RESET_STRATEGIES.includes(record.trafficResetStrategy)) {
+                return { userId, error: `Invalid trafficResetStrategy: ${record.trafficResetStrategy}` };
+            }
+            fields.trafficResetStrategy = record.trafficResetStrategy;
+            fields.nextTrafficReset = null;
+        }
+
+        const subscriptionToken = isEmpty(record.subscriptionToken) ? null : String(record.subscriptionToken).trim();
+
+        return { userId, fields, subscriptionToken };
+    }
+
+    /**
+     * Import users
+     * @param {Array} records - parsed rows
+     * @param {Object} options - { dryRun, mode: 'create' (skip existing) | 'upsert' (update existing) }
+     * @returns {Object} { dryRun, created: [userId], updated: [userId], skipped: [{ row, userId, reason }] }
+     */
+    async importUsers(records, { dryRun = false, mode = 'create' } = {}) {
+        if (!['create', 'upsert'].includes(mode)) {
+            throw new TransferError('mode must be create or upsert');
+        }
+        if (records.length > MAX_IMPORT_ROWS) {
+            throw new TransferError(`Too many rows (max ${MAX_IMPORT_ROWS})`);
+        }
+
+        const [groups, plans] = await Promise.all([
+            ServerGroup.find().select('name').lean(),
+            Plan.find().select('name').lean(),
+        ]);
+        const groupsByName = new Map(groups.map(g => [g.name, g._id]));
+        const plansByName = new Map(plans.map(p => [p.name, p._id]));
+
+        const report = { dryRun, created: [], updated: [], skipped: [] };
+        const items = [];
+        const seen = new Set();
+
+        records.forEach((record, index) => {
+            // 1-based record number (CSV header not counted)
+            const row = index + 1;
+            const item = this.normalizeRecord(record || {}, groupsByName, plansByName);
+
+            if (item.error) {
+                report.skipped.push({ row, userId: item.userId || '', reason: item.error });
+            } else if (seen.has(item.userId)) {
+                report.skipped.push({ row, userId: item.userId, reason: 'Duplicate userId in file' });
+            } else {
+                seen.add(item.userId);
+                items.push({ row, ...item });
+            }
+        });
+
+        const existing = await HyUser.find({ userId: { $in: items.map(i => i.userId) } })
+            .select('userId subscriptionToken credentials.token')
+            .lean();
+        const existingMap = new Map(existing.map(u => [u.userId, u]));
+
+        // Tokens from file must not collide with other users
+        const tokens = items.map(i => i.subscriptionToken).filter(Boolean);
+        const takenTokens = new Map((await HyUser.find({ subscriptionToken: { $in: tokens } })
+            .select('userId subscriptionToken')
+            .lean()).map(u => [u.subscriptionToken, u.userId]));
+
+        const updateOps = [];
+        const updatedUsers = [];
+
+        for (const item of items) {
+            const current = existingMap.get(item.userId);
+            const tokenOwner = item.subscriptionToken ? takenTokens.get(item.subscriptionToken) : null;
+
+            if (tokenOwner && tokenOwner !== item.userId) {
+                report.skipped.push({ row: item.row, userId: item.userId, reason: 'subscriptionToken belongs to another user' });
+                continue;
+            }
+
+            if (current) {
+                if (mode !== 'upsert') {
+                    report.skipped.push({ row: item.row, userId: item.userId, reason: 'User already exists' });
+                    continue;
+                }
+                if (Object.keys(item.fields).length > 0) {
+                    updateOps.push({ updateOne: { filter: { _id: current._id }, update: { $set: item.fields } } });
+                    updatedUsers.push(current);
+                }
+                report.updated.push(item.userId);
+                continue;
+            }
+
+            if (!dryRun) {
+                try {
+                    await HyUser.create({
+                        userId: item.userId,
+                        password: cryptoService.generatePassword(item.userId),
+                        nodes: [],
+                        ...item.fields,
+                        ...(item.subscriptionToken ? { subscriptionToken: item.subscriptionToken } : {}),
+                    });
+                } catch (err) {
+                    report.skipped.push({ row: item.row, userId: item.userId, reason: err.message });
+                    continue;
+                }
+            }
+            report.created.push(item.userId);
+        }
+
+        if (!dryRun) {
+            if (updateOps.length > 0) {
+                await HyUser.bulkWrite(updateOps, { ordered: false });
+            }
+            // Also refreshes dashboard counters for created users
+            await invalidateUsersCache(updatedUsers);
+
+            logger.info(`[Import] Created ${report.created.length}, updated ${report.updated.length}, skipped ${report.skipped.length}`);
+        }
+
+        return report;
+    }
+}
+
+module.exports = new UserTransferService();
+module.exports.TransferError = TransferError;
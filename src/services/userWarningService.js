@@ -0,0 +1,226 @@
+/**
+ * Expiry and traffic warnings for users
+ *
+ * Thresholds come from settings.userWarnings: days before expireAt and percent
+ * of the effective traffic limit (with packs). check() runs from cron and sends a
+ * message to the user's Telegram chat ID and/or email when a more severe threshold
+ * is reached than the one stored in user.warnings. Delivery uses the Telegram bot
+ * and SMTP server configured for admin notifications.
+ *
+ * Stored levels go back down after renewal, a traffic pack or a traffic reset,
+ * so the next period warns again. The same thresholds drive the banner on the
+ * subscription HTML page.
+ */
+
+const HyUser = require('../models/hyUserModel');
+const notificationService = require('./notificationService');
+const { getSettings } = require('../utils/helpers');
+const { t } = require('../middleware/i18n');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+
+const { format } = notificationService;
+
+function toPlain(doc) {
+    return typeof doc?.toObject === 'function' ? doc.toObject() : doc;
+}
+
+class UserWarningService {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Thresholds reached by user
+     * @returns {Object} { expiry: { level, daysLeft } | null, traffic: { level, percent, used, limit } | null }
+     *   expiry.level - smallest reached "days before" threshold, traffic.level - largest reached percent
+     */
+    getLevels(user, config, now = new Date()) {
+        const result = { expiry: null, traffic: null };
+
+        if (user.expireAt && !HyUser.isOnHold(user)) {
+            const daysLeft = (new Date(user.expireAt) - now) / DAY_MS;
+            const reached = (config.expiryDays || []).filter(days => days > 0 && daysLeft > 0 && daysLeft <= days);
+            if (reached.length > 0) {
+                result.expiry = { level: Math.min(...reached), daysLeft };
+            }
+        }
+
+        const limit = HyUser.getTrafficLimit(user, now);
+        if (limit > 0) {
+            const used = (user.traffic?.tx || 0) + (user.traffic?.rx || 0);
+            const percent = used / limit * 100;
+            const reached = (config.trafficPercents || []).filter(threshold => threshold > 0 && percent >= threshold);
+            if (reached.length > 0) {
+                result.traffic = { level: Math.max(...reached), percent, used, limit };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Message texts for reached thresholds
+     * @returns {Object} { expiry?: { event, title, text }, traffic?: { event, title, text } }
+     */
+    buildMessages(user, levels, lang) {
+        const messages = {};
+
+        if (levels.expiry) {
+            messages.expiry = {
+                event: 'user.expiry_warning',
+                title: t('userWarnings.title_expiry', lang),
+                text: format(t('userWarnings.msg_expiry', lang), {
+                    days: Math.max(1, Math.ceil(levels.expiry.daysLeft)),
+                    date: new Date(user.expireAt).toLocaleDateString(lang === 'en' ? 'en-US' : 'ru-RU'),
+                }),
+            };
+        }
+
+        if (levels.traffic) {
+            messages.traffic = {
+                event: 'user.traffic_warning',
+                title: t('userWarnings.title_traffic', lang),
+                text: format(t('userWarnings.msg_traffic', lang), {
+                    percent: Math.floor(levels.traffic.percent),
+                    used: (levels.traffic.used / GB).toFixed(1),
+                    limit: (levels.traffic.limit / GB).toFixed(1),
+                }),
+            };
+        }
+
+        return messages;
+    }
+
+    /**
+     * Banner lines for the subscription page (empty if warnings are off or nothing is reached)
+     */
+    getBanner(user, settings, now = new Date()) {
+        const config = settings?.userWarnings;
+        if (!config?.enabled) return [];
+
+        const messages = this.buildMessages(user, this.getLevels(user, config, now), config.lang);
+        return Object.values(messages).map(message => message.text);
+    }
+
+    /**
+     * Send warnings for newly reached thresholds (called from cron)
+     */
+    async check(now = new Date()) {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        try {
+            const settings = toPlain(await getSettings());
+            const config = settings?.userWarnings;
+            if (!config?.enabled) return;
+
+            // Nothing is stored until the bot / SMTP server is configured
+            const notifications = settings.notifications || {};
+            const credentials = { telegram: notifications.telegram?.botToken, email: notifications.email?.host };
+            const channels = ['telegram', 'email'].filter(name => config[name] !== false && credentials[name]);
+            if (channels.length === 0) return;
+
+            const maxDays = Math.max(0, ...(config.expiryDays || []));
+            const users = HyUser.find({
+                enabled: true,
+                'onHold.durationDays': { $not: { $gt: 0 } },
+                $and: [
+                    { $or: [{ 'contacts.telegramId': { $gt: '' } }, { 'contacts.email': { $gt: '' } }] },
+                    { $or: [
+                        { expireAt: { $gt: now, $lte: new Date(now.getTime() + maxDays * DAY_MS) } },
+                        { trafficLimit: { $gt: 0 } },
+                        // Stored levels that may need to go back down
+                        { 'warnings.expiryDays': { $ne: null } },
+                        { 'warnings.trafficPercent': { $gt: 0 } },
+                    ] },
+                ],
+            })
+                .select('userId username expireAt onHold traffic trafficLimit topUps contacts warnings')
+                .lean()
+                .cursor();
+
+            let sent = 0;
+            for await (const user of users) {
+                try {
+                    sent += await this.checkUser(user, config, channels, notifications, now);
+                } catch (err) {
+                    logger.error(`[UserWarnings] ${user.userId}: ${err.message}`);
+                }
+            }
+
+            if (sent > 0) {
+                logger.info(`[UserWarnings] Sent ${sent} warnings`);
+            }
+        } catch (err) {
+            logger.error(`[UserWarnings] Error: ${err.message}`);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Compare user's levels with stored ones, send and store
+     * @returns {number} warnings sent
+     */
+    async checkUser(user, config, channels, notifications, now) {
+        const levels = this.getLevels(user, config, now);
+        const stored = {
+            expiry: user.warnings?.expiryDays ?? null,
+            traffic: user.warnings?.trafficPercent || 0,
+        };
+        const current = {
+            expiry: levels.expiry?.level ?? null,
+            traffic: levels.traffic?.level || 0,
+        };
+
+        // Fewer days left / more traffic used than last time
+        const due = {
+            expiry: current.expiry !== null && (stored.expiry === null || current.expiry < stored.expiry),
+            traffic: current.traffic > stored.traffic,
+        };
+
+        if (current.expiry === stored.expiry && current.traffic === stored.traffic) return 0;
+
+        const messages = this.buildMessages(user, levels, config.lang);
+        let sent = 0;
+
+        for (const type of ['expiry', 'traffic']) {
+            if (!due[type]) continue;
+            if (await this.deliver(user, messages[type], channels, notifications)) sent++;
+        }
+
+        // Stored even if delivery failed: a wrong address isn't retried every run
+        await HyUser.updateOne(
+            { _id: user._id },
+            { $set: { 'warnings.expiryDays': current.expiry, 'warnings.trafficPercent': current.traffic } }
+        );
+
+        return sent;
+    }
+
+    /**
+     * @returns {boolean} delivered to at least one contact
+     */
+    async deliver(user, message, channels, notifications) {
+        const addresses = { telegram: user.contacts?.telegramId, email: user.contacts?.email };
+        let delivered = false;
+
+        for (const name of channels) {
+            if (!addresses[name]) continue;
+            try {
+                if (await notificationService.sendTo(name, notifications[name] || {}, addresses[name], message)) {
+                    delivered = true;
+                }
+            } catch (err) {
+                logger.warn(`[UserWarnings] ${user.userId}: ${name} failed - ${err.message}`);
+            }
+        }
+
+        return delivered;
+    }
+}
+
+module.exports = new UserWarningService();
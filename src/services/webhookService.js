@@ -0,0 +1,325 @@
+/**
+ * Outbound webhooks for panel events
+ *
+ * emit() is fire-and-forget: every subscribed endpoint gets a WebhookDelivery
+ * with the exact JSON body, which is signed with the endpoint secret and POSTed
+ * right away. Failed attempts are retried by processRetries (cron) with
+ * exponential backoff until MAX_ATTEMPTS.
+ *
+ * Headers: X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Signature: sha256=<hex HMAC of body>
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = 6;
+// 30s, 1m, 2m, 4m, 8m between attempts
+const RETRY_BASE_MS = 30 * 1000;
+const TIMEOUT_MS = 10000;
+// Enabled endpoints are reloaded at most this often (and on every change via API/panel)
+const WEBHOOKS_TTL_MS = 60 * 1000;
+const RETRY_BATCH = 100;
+// Bulk actions emit one event per user: attempts above this wait for the retry job
+const MAX_IN_FLIGHT = 20;
+const MAX_LIMIT = 200;
+
+const USER_FIELDS = ['userId', 'username', 'enabled', 'groups', 'plan', 'tags', 'trafficLimit', 'traffic', 'expireAt'];
+const NODE_FIELDS = ['name', 'ip', 'status', 'lastError'];
+
+function pick(doc, fields) {
+    const source = typeof doc?.toObject === 'function' ? doc.toObject() : (doc || {});
+    const data = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) data[field] = source[field];
+    }
+    return data;
+}
+
+class WebhookService {
+    constructor() {
+        this.webhooks = null;
+        this.loadedAt = 0;
+        this.isRetrying = false;
+        this.inFlight = 0;
+    }
+
+    /**
+     * Validate webhook fields from API / panel form
+     * @param {Object} input - { name, url, events?, secret?, enabled? }
+     * @param {boolean} partial - only fields present in input (update)
+     * @throws {Error} on invalid value
+     */
+    normalizeInput(input = {}, partial = false) {
+        const data = {};
+        const has = (field) => input[field] !== undefined && input[field] !== '';
+
+        if (!partial || has('name')) {
+            const name = String(input.name || '').trim();
+            if (!name) throw new Error('name is required');
+            data.name = name;
+        }
+
+        if (!partial || has('url')) {
+            const url = String(input.url || '').trim();
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (err) {
+                throw new Error('url is invalid');
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                throw new Error('url must be http(s)');
+            }
+            data.url = url;
+        }
+
+        if (!partial || input.events !== undefined) {
+            const events = input.events ? [].concat(input.events) : [];
+            const invalid = events.find(event => !Webhook.EVENTS.includes(event));
+            if (invalid) throw new Error(`Unknown event: ${invalid}`);
+            data.events = [...new Set(events)];
+        }
+
+        if (has('secret')) {
+            data.secret = String(input.secret).trim();
+        } else if (!partial) {
+            data.secret = this.generateSecret();
+        }
+
+        if (input.enabled !== undefined) {
+            data.enabled = input.enabled === true || input.enabled === 'true' || input.enabled === 'on';
+        }
+
+        return data;
+    }
+
+    generateSecret() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    /**
+     * Signature header value for body
+     */
+    sign(secret, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    /**
+     * Drop cached endpoint list (after create/update/delete)
+     */
+    invalidate() {
+        this.webhooks = null;
+    }
+
+    async getWebhooks() {
+        if (!this.webhooks || Date.now() - this.loadedAt > WEBHOOKS_TTL_MS) {
+            this.webhooks = await Webhook.find({ enabled: true }).lean();
+            this.loadedAt = Date.now();
+        }
+        return this.webhooks;
+    }
+
+    /**
+     * Send event to subscribed endpoints (never throws, doesn't wait for delivery)
+     */
+    emit(event, data = {}) {
+        this.dispatch(event, data).catch(error => {
+            logger.error(`[Webhook] ${event} dispatch error: ${error.message}`);
+        });
+    }
+
+    /**
+     * User event: payload has the user's main fields
+     */
+    emitUser(event, user, extra = {}) {
+        this.emit(event, { ...pick(user, USER_FIELDS), ...extra });
+    }
+
+    /**
+     * Node event: payload has node id, name, address and status
+     */
+    emitNode(event, node, extra = {}) {
+        this.emit(event, { nodeId: String(node._id), ...pick(node, NODE_FIELDS), ...extra });
+    }
+
+    async dispatch(event, data) {
+        const targets = (await this.getWebhooks()).filter(webhook => Webhook.isSubscribed(webhook, event));
+        if (targets.length === 0) return;
+
+        const deliveries = await this.createDeliveries(event, data, targets);
+        if (this.inFlight >= MAX_IN_FLIGHT) return;
+
+        this.inFlight += deliveries.length;
+        try {
+            await Promise.allSettled(deliveries.map((delivery, index) => this.attempt(delivery, targets[index])));
+        } finally {
+            this.inFlight -= deliveries.length;
+        }
+    }
+
+    async createDeliveries(event, data, webhooks) {
+        const now = new Date();
+
+        return WebhookDelivery.insertMany(webhooks.map(webhook => {
+            const _id = new mongoose.Types.ObjectId();
+            return {
+                _id,
+                webhook: webhook._id,
+                event,
+                payload: JSON.stringify({ id: String(_id), event, timestamp: now.toISOString(), data }),
+                // lean insert doesn't apply schema defaults
+                status: 'pending',
+                attempts: 0,
+                // Attempted right away unless MAX_IN_FLIGHT is reached, otherwise by the retry job
+                nextAttemptAt: new Date(now.getTime() + RETRY_BASE_MS),
+                createdAt: now,
+            };
+        }), { lean: true });
+    }
+
+    /**
+     * POST delivery payload once and record the result
+     * @returns {Object} updated delivery fields
+     */
+    async attempt(delivery, webhook) {
+        const now = new Date();
+        const attempts = (delivery.attempts || 0) + 1;
+        let responseStatus = null;
+        let error = '';
+
+        try {
+            const response = await axios.post(webhook.url, delivery.payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Hysteria-Panel-Webhook',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery._id),
+                    'X-Webhook-Signature': this.sign(webhook.secret, delivery.payload),
+                },
+                // Body must stay byte-identical to the signed string
+                transformRequest: [(body) => body],
+                timeout: TIMEOUT_MS,
+                maxRedirects: 0,
+                validateStatus: () => true,
+            });
+            responseStatus = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        const update = { attempts, responseStatus, lastError: error };
+        if (!error) {
+            Object.assign(update, { status: 'success', deliveredAt: now, nextAttemptAt: null });
+        } else if (attempts >= MAX_ATTEMPTS) {
+            Object.assign(update, { status: 'failed', nextAttemptAt: null });
+            logger.warn(`[Webhook] ${delivery.event} to ${webhook.name} failed after ${attempts} attempts: ${error}`);
+        } else {
+            update.status = 'pending';
+            update.nextAttemptAt = new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1));
+            logger.debug(`[Webhook] ${delivery.event} to ${webhook.name} attempt ${attempts} failed: ${error}`);
+        }
+
+        await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+        return update;
+    }
+
+    /**
+     * Retry due pending deliveries (called from cron)
+     */
+    async processRetries(now = new Date()) {
+        if (this.isRetrying) return;
+        this.isRetrying = true;
+
+        try {
+            const deliveries = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+                .sort({ nextAttemptAt: 1 })
+                .limit(RETRY_BATCH)
+                .lean();
+            if (deliveries.length === 0) return;
+
+            const webhooks = new Map((await Webhook.find({ _id: { $in: deliveries.map(d => d.webhook) } }).lean())
+                .map(webhook => [String(webhook._id), webhook]));
+
+            for (const delivery of deliveries) {
+                const webhook = webhooks.get(String(delivery.webhook));
+                if (!webhook || webhook.enabled === false) {
+                    await WebhookDelivery.updateOne(
+                        { _id: delivery._id },
+                        { $set: { status: 'failed', nextAttemptAt: null, lastError: 'Webhook disabled or deleted' } }
+                    );
+                    continue;
+                }
+                await this.attempt(delivery, webhook);
+            }
+        } catch (error) {
+            logger.error(`[Webhook] Retry error: ${error.message}`);
+        } finally {
+            this.isRetrying = false;
+        }
+    }
+
+    /**
+     * Send the same payload again now (manual retry from API / panel)
+     * @returns {Object|null} updated delivery, null if delivery or webhook not found
+     */
+    async redeliver(deliveryId) {
+        if (!mongoose.Types.ObjectId.isValid(deliveryId)) return null;
+
+        const delivery = await WebhookDelivery.findById(deliveryId).lean();
+        const webhook = delivery && await Webhook.findById(delivery.webhook).lean();
+        if (!webhook) return null;
+
+        // One extra attempt: failed deliveries stay failed if it doesn't go through
+        const update = await this.attempt({ ...delivery, attempts: Math.min(delivery.attempts, MAX_ATTEMPTS - 1) }, webhook);
+        return { ...delivery, ...update };
+    }
+
+    /**
+     * Send "ping" event to one endpoint regardless of its filter
+     * @returns {Object} delivery with result
+     */
+    async test(webhook) {
+        const [delivery] = await this.createDeliveries('ping', { webhookId: String(webhook._id), name: webhook.name }, [webhook]);
+        // Test result is shown right away, no retries
+        const update = await this.attempt({ ...delivery, attempts: MAX_ATTEMPTS - 1 }, webhook);
+        return { ...delivery, ...update };
+    }
+
+    /**
+     * Delivery log of endpoint, newest first
+     * @param {Object} options - { status?, limit? }
+     */
+    async getDeliveries(webhookId, { status, limit = 50 } = {}) {
+        const filter = { webhook: webhookId };
+        if (status && WebhookDelivery.STATUSES.includes(status)) filter.status = status;
+
+        return WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, MAX_LIMIT))
+            .lean();
+    }
+
+    /**
+     * Delete endpoint with its delivery log
+     * @returns {boolean} false if not found
+     */
+    async deleteWebhook(id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) return false;
+
+        const webhook = await Webhook.findByIdAndDelete(id);
+        if (!webhook) return false;
+
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+        this.invalidate();
+        return true;
+    }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,116 @@
+/**
+ * Circuit breaker for external dependencies (Redis, MongoDB)
+ *
+ * closed    - calls go through, failures are counted
+ * open      - calls fail immediately until resetTimeout passes
+ * half-open - one probe call is let through; success closes, failure reopens
+ *
+ * Slow calls count as failures (callTimeout), so a hanging backend
+ * doesn't hold the auth hot path.
+ */
+
+const logger = require('./logger');
+
+class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`${name} circuit is open`);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+class CircuitTimeoutError extends Error {
+    constructor(name, timeout) {
+        super(`${name} call timeout (${timeout}ms)`);
+        this.name = 'CircuitTimeoutError';
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - for logs
+     * @param {Object} options - { failureThreshold, resetTimeout (ms), callTimeout (ms) }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 15000;
+        this.callTimeout = options.callTimeout || 2000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.probing = false;
+    }
+
+    /**
+     * Run fn through the breaker
+     * @throws {CircuitOpenError} if circuit is open
+     */
+    async exec(fn) {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.resetTimeout) {
+                throw new CircuitOpenError(this.name);
+            }
+            this.state = 'half-open';
+        }
+
+        if (this.state === 'half-open') {
+            if (this.probing) throw new CircuitOpenError(this.name);
+            this.probing = true;
+        }
+
+        let timer;
+        try {
+            const result = await Promise.race([
+                fn(),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new CircuitTimeoutError(this.name, this.callTimeout)), this.callTimeout);
+                }),
+            ]);
+            this.onSuccess();
+            return result;
+        } catch (err) {
+            this.onFailure(err);
+            throw err;
+        } finally {
+            clearTimeout(timer);
+            this.probing = false;
+        }
+    }
+
+    onSuccess() {
+        if (this.state !== 'closed') {
+            logger.info(`[Circuit] ${this.name} closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+    }
+
+    onFailure(err) {
+        this.failures++;
+
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.warn(`[Circuit] ${this.name} opened after ${this.failures} failures: ${err.message}`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    isOpen() {
+        return this.state === 'open' && Date.now() - this.openedAt < this.resetTimeout;
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null,
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.CircuitTimeoutError = CircuitTimeoutError;
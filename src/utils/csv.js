@@ -0,0 +1,103 @@
+/**
+ * Minimal CSV (RFC 4180) serializer and parser
+ *
+ * Text values starting with = + - @ are exported with a leading ' (formula
+ * injection in spreadsheets), the parser strips it back. Values already
+ * starting with ' get one too, so the round trip is lossless.
+ */
+
+// Spreadsheets run text cells starting with these as formulas; ' is the guard itself
+const FORMULA_RE = /^[=+\-@\t\r']/;
+
+function escapeValue(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    // Text only: numbers like -1 stay numbers
+    if (typeof value === 'string' && FORMULA_RE.test(str)) {
+        str = `'${str}`;
+    }
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Undo the formula guard of escapeValue, so exported files import unchanged
+ */
+function unescapeValue(str) {
+    return str.startsWith("'") && FORMULA_RE.test(str.slice(1)) ? str.slice(1) : str;
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<string>} columns - header and field order
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV with header row into objects
+ * @returns {Array<Object>} rows keyed by header names (empty lines skipped)
+ */
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.length > 1 || r[0] !== '');
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(values => {
+        const row = {};
+        header.forEach((column, index) => {
+            row[column] = values[index] !== undefined ? unescapeValue(values[index]) : '';
+        });
+        return row;
+    });
+}
+
+module.exports = {
+    toCsv,
+    parseCsv,
+};
@@ -3,8 +3,10 @@
  */
 
 const Settings = require('../models/settingsModel');
+const HyUser = require('../models/hyUserModel');
 const ServerGroup = require('../models/serverGroupModel');
 const cache = require('../services/cacheService');
+const authFallback = require('../services/authFallbackService');
 
 async function getSettings() {
     const cached = await cache.getSettings();
@@ -43,6 +45,56 @@ async function getNodesByGroups(userGroups) {
     });
 }
 
+/**
+ * Get active nodes (with caching)
+ */
+async function getActiveNodesWithCache() {
+    const HyNode = require('../models/hyNodeModel');
+    
+    const cached = await cache.getActiveNodes();
+    if (cached) return cached;
+    
+    const nodes = await HyNode.find({ active: true }).lean();
+    await cache.setActiveNodes(nodes);
+    return nodes;
+}
+
+/**
+ * Check if node is available to user
+ * Linked nodes take priority, otherwise node groups must intersect user groups
+ */
+function isNodeAllowedForUser(user, node) {
+    const nodeId = node._id?.toString();
+    
+    if (user.nodes && user.nodes.length > 0) {
+        return user.nodes.some(n => n && (n._id?.toString() || n.toString()) === nodeId);
+    }
+    
+    const userGroupIds = (user.groups || []).map(g => g._id?.toString() || g.toString());
+    const nodeGroupIds = (node.groups || []).map(g => g._id?.toString() || g.toString());
+    return nodeGroupIds.some(gId => userGroupIds.includes(gId));
+}
+
+/**
+ * Effective device limit for user (groups must be populated with maxDevices)
+ * User limit if set, otherwise minimum from groups. -1 = unlimited, 0 = no limit
+ */
+function getEffectiveMaxDevices(user) {
+    let maxDevices = user.maxDevices || 0;
+    
+    if (maxDevices === 0 && user.groups?.length > 0) {
+        const groupLimits = user.groups
+            .filter(g => g.maxDevices > 0)
+            .map(g => g.maxDevices);
+        
+        if (groupLimits.length > 0) {
+            maxDevices = Math.min(...groupLimits);
+        }
+    }
+    
+    return maxDevices;
+}
+
 async function getActiveGroups() {
     const cached = await cache.getGroups();
     if (cached) return cached;
@@ -57,10 +109,67 @@ async function invalidateGroupsCache() {
     await cache.invalidateGroups();
 }
 
+/**
+ * Users per tag, cached like dashboard counters
+ * @param {number} limit - top N by users, 0 = all
+ */
+async function getTagStats(limit = 0) {
+    let stats = await cache.getTagStats();
+    if (!stats) {
+        stats = await HyUser.getTagStats();
+        await cache.setTagStats(stats);
+    }
+    
+    return limit > 0 ? stats.slice(0, limit) : stats;
+}
+
+/**
+ * Invalidate user caches: auth data, subscriptions (incl. app password links), device IPs
+ * credentials - user app passwords (each has its own subscription token)
+ */
+async function invalidateUserCache(userId, subscriptionToken, credentials = [], { dashboard = true } = {}) {
+    authFallback.forgetUser(userId);
+    await cache.invalidateUser(userId);
+    if (subscriptionToken) {
+        await cache.invalidateSubscription(subscriptionToken);
+    }
+    for (const credential of credentials) {
+        await cache.invalidateSubscription(credential.token);
+    }
+    await cache.clearDeviceIPs(userId);
+    if (dashboard) {
+        await cache.invalidateDashboardCounts();
+    }
+}
+
+/**
+ * Invalidate caches of many users: one Redis pipeline and one subscription SCAN
+ * for the whole list, dashboard counters once
+ * @param {Array} users - [{ userId, subscriptionToken, credentials }]
+ */
+async function invalidateUsersCache(users) {
+    const userIds = [];
+    const tokens = [];
+    for (const user of users) {
+        authFallback.forgetUser(user.userId);
+        userIds.push(user.userId);
+        tokens.push(user.subscriptionToken, ...(user.credentials || []).map(credential => credential.token));
+    }
+    
+    await cache.invalidateUsers(userIds, tokens);
+    await cache.invalidateDashboardCounts();
+}
+
 module.exports = {
     getSettings,
     invalidateSettingsCache,
     getNodesByGroups,
+    getActiveNodesWithCache,
+    isNodeAllowedForUser,
+    getEffectiveMaxDevices,
     getActiveGroups,
     invalidateGroupsCache,
+    getTagStats,
+    invalidateUserCache,
+    invalidateUsersCache,
 };
@@ -0,0 +1,266 @@
+/**
+ * Minimal SQL dump reader (mysqldump and sqlite3 .dump)
+ *
+ * Only CREATE TABLE column names and INSERT rows are read, everything else is skipped.
+ */
+
+/**
+ * Split dump into statements (quotes and comments aware)
+ * @param {boolean} backslashEscapes - MySQL string escapes (\' \n ...)
+ */
+function splitStatements(text, backslashEscapes) {
+    const statements = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            current += char;
+            if (backslashEscapes && char === '\\' && quote !== '`') {
+                current += text[++i] || '';
+            } else if (char === quote) {
+                if (text[i + 1] === quote) {
+                    current += text[++i];
+                } else {
+                    quote = null;
+                }
+            }
+            continue;
+        }
+
+        if (char === '-' && text[i + 1] === '-') {
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end;
+            continue;
+        }
+
+        if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+            continue;
+        }
+
+        if (char === ';') {
+            if (current.trim()) statements.push(current.trim());
+            current = '';
+            continue;
+        }
+
+        if (char === '\'' || char === '"' || char === '`') quote = char;
+        current += char;
+    }
+
+    if (current.trim()) statements.push(current.trim());
+    return statements;
+}
+
+const MYSQL_ESCAPES = { '0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a' };
+
+/**
+ * Values of INSERT ... VALUES (...), (...)
+ */
+class ValuesParser {
+    constructor(text, backslashEscapes) {
+        this.text = text;
+        this.pos = 0;
+        this.backslashEscapes = backslashEscapes;
+    }
+
+    skipSpaces() {
+        while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+    }
+
+    peek() {
+        this.skipSpaces();
+        return this.text[this.pos];
+    }
+
+    expect(char) {
+        if (this.peek() !== char) {
+            throw new Error(`Unexpected "${this.text.substr(this.pos, 20)}" in INSERT, expected "${char}"`);
+        }
+        this.pos++;
+    }
+
+    parseString() {
+        const quote = this.text[this.pos++];
+        let value = '';
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos++];
+            if (this.backslashEscapes && char === '\\') {
+                const next = this.text[this.pos++];
+                value += MYSQL_ESCAPES[next] !== undefined ? MYSQL_ESCAPES[next] : next;
+            } else if (char === quote) {
+                if (this.text[this.pos] !== quote) return value;
+                value += quote;
+                this.pos++;
+            } else {
+                value += char;
+            }
+        }
+
+        throw new Error('Unterminated string in INSERT');
+    }
+
+    parseList() {
+        const values = [];
+        this.expect('(');
+        if (this.peek() === ')') {
+            this.pos++;
+            return values;
+        }
+        for (;;) {
+            values.push(this.parseValue());
+            const next = this.peek();
+            this.pos++;
+            if (next === ')') return values;
+            if (next !== ',') throw new Error('Expected "," or ")" in INSERT');
+        }
+    }
+
+    parseValue() {
+        const char = this.peek();
+
+        if (char === '\'' || char === '"') return this.parseString();
+
+        const rest = this.text.slice(this.pos, this.pos + 64);
+
+        // Blob literals: X'6869' (SQLite), 0x6869 (MySQL)
+        const blob = rest.match(/^[xX]'([0-9a-fA-F]*)'/) || rest.match(/^0x([0-9a-fA-F]+)/);
+        if (blob) {
+            this.pos += blob[0].length;
+            return Buffer.from(blob[1], 'hex').toString('utf8');
+        }
+
+        const number = rest.match(/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+        if (number) {
+            this.pos += number[0].length;
+            return Number(number[0]);
+        }
+
+        const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (!word) throw new Error(`Unexpected "${rest.slice(0, 20)}" in INSERT`);
+        this.pos += word[0].length;
+        const name = word[0].toLowerCase();
+
+        if (name === 'null') return null;
+        if (name === 'true') return 1;
+        if (name === 'false') return 0;
+
+        // MySQL charset introducer: _binary '...', _utf8mb4 '...'
+        if (name.startsWith('_') && (this.peek() === '\'' || this.peek() === '"')) {
+            return this.parseString();
+        }
+
+        // sqlite3 .dump writes strings with newlines as replace('..\n..','\n',char(10))
+        if (this.peek() === '(') {
+            const args = this.parseList();
+            if (name === 'char') return String.fromCharCode(...args.map(Number));
+            if (name === 'replace' && args.length === 3) return String(args[0]).split(String(args[1])).join(String(args[2]));
+            if (name === 'unistr') return String(args[0]).replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+            throw new Error(`Unsupported function ${word[0]}() in INSERT`);
+        }
+
+        throw new Error(`Unexpected "${word[0]}" in INSERT`);
+    }
+
+    /**
+     * @returns {Array<Array>} rows
+     */
+    parseRows() {
+        const rows = [];
+        for (;;) {
+            rows.push(this.parseList());
+            if (this.peek() !== ',') return rows;
+            this.pos++;
+        }
+    }
+}
+
+function unquoteName(name) {
+    return name.trim().replace(/^[`"[]|[`"\]]$/g, '');
+}
+
+/**
+ * Column names from CREATE TABLE body
+ */
+function parseColumns(body) {
+    const columns = [];
+    let depth = 0;
+    let current = '';
+
+    const flush = () => {
+        const definition = current.trim();
+        current = '';
+        if (!definition || /^(PRIMARY|KEY|UNIQUE|CONSTRAINT|INDEX|FOREIGN|CHECK|FULLTEXT|SPATIAL)\b/i.test(definition)) return;
+        const name = definition.match(/^(`[^`]+`|"[^"]+"|\[[^\]]+\]|\S+)/);
+        if (name) columns.push(unquoteName(name[1]));
+    };
+
+    for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            flush();
+        } else {
+            current += char;
+        }
+    }
+    flush();
+
+    return columns;
+}
+
+const TABLE_NAME = '(?:`[^`]+`|"[^"]+"|\\w+)(?:\\.(?:`[^`]+`|"[^"]+"|\\w+))?';
+
+/**
+ * Read tables from dump text
+ * @param {string} text
+ * @param {Array<string>} [only] - table names to read (default all)
+ * @returns {Object} { tableName: [rowObject] }
+ */
+function parseSqlDump(text, only = null) {
+    const backslashEscapes = /ENGINE\s*=|mysqldump|MariaDB dump|\/\*!\d{5}/i.test(text.slice(0, 100000));
+    const columnsByTable = {};
+    const tables = {};
+
+    const createRe = new RegExp(`^CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${TABLE_NAME})\\s*\\(([\\s\\S]*)\\)[^)]*$`, 'i');
+    const insertRe = new RegExp(`^(?:INSERT|REPLACE)\\s+(?:IGNORE\\s+)?(?:INTO\\s+)?(${TABLE_NAME})\\s*(?:\\(([^)]*)\\))?\\s*VALUES\\s*`, 'i');
+
+    for (const statement of splitStatements(text, backslashEscapes)) {
+        const create = statement.match(createRe);
+        if (create) {
+            const name = unquoteName(create[1].split('.').pop());
+            columnsByTable[name] = parseColumns(create[2]);
+            continue;
+        }
+
+        const insert = statement.match(insertRe);
+        if (!insert) continue;
+
+        const name = unquoteName(insert[1].split('.').pop());
+        if (only && !only.includes(name)) continue;
+
+        const columns = insert[2] ? insert[2].split(',').map(unquoteName) : columnsByTable[name];
+        if (!columns) throw new Error(`No column list for table ${name}`);
+
+        const parser = new ValuesParser(statement.slice(insert[0].length), backslashEscapes);
+        tables[name] = tables[name] || [];
+        for (const values of parser.parseRows()) {
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = values[index] !== undefined ? values[index] : null;
+            });
+            tables[name].push(row);
+        }
+    }
+
+    return tables;
+}
+
+module.exports = {
+    parseSqlDump,
+};